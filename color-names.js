@@ -0,0 +1,108 @@
+// Automatic color names: the nearest entry (CIEDE2000) from the CSS named colors plus a list of
+// common paint, fashion and design color names. CSS names stay lowercase keywords, so a name
+// that can be typed into a stylesheet is recognizable as one.
+
+const COMMON_COLOR_NAMES = {
+    'Alabaster': '#edeae0', 'Alizarin': '#e32636', 'Almond': '#efdecd', 'Amaranth': '#e52b50',
+    'Amber': '#ffbf00', 'Amethyst': '#9966cc', 'Apple Green': '#8db600', 'Apricot': '#fbceb1',
+    'Army Green': '#4b5320', 'Arsenic': '#3b444b', 'Ash Gray': '#b2beb5', 'Asparagus': '#87a96b',
+    'Aubergine': '#3d0734', 'Avocado': '#568203', 'Baby Blue': '#89cff0', 'Baby Pink': '#f4c2c2',
+    'Banana Yellow': '#ffe135', 'Battleship Gray': '#848482', 'Berry': '#990f4b', 'Bistre': '#3d2b1f',
+    'Bittersweet': '#fe6f5e', 'Blush': '#de5d83', 'Bondi Blue': '#0095b6', 'Bone': '#e3dac9',
+    'Bottle Green': '#006a4e', 'Brass': '#b5a642', 'Brick Red': '#cb4154', 'Bright Green': '#66ff00',
+    'Brilliant Rose': '#ff55a3', 'Bronze': '#cd7f32', 'Brunswick Green': '#1b4d3e', 'Bubblegum': '#ffc1cc',
+    'Buff': '#f0dc82', 'Burgundy': '#800020', 'Burnt Orange': '#cc5500', 'Burnt Sienna': '#e97451',
+    'Burnt Umber': '#8a3324', 'Butter': '#fff48f', 'Byzantium': '#702963', 'Cadmium Red': '#e30022',
+    'Cadmium Yellow': '#fff600', 'Café au Lait': '#a67b5b', 'Cambridge Blue': '#a3c1ad', 'Camel': '#c19a6b',
+    'Canary': '#ffff99', 'Candy Apple Red': '#ff0800', 'Caramel': '#af6f09', 'Cardinal': '#c41e3a',
+    'Carmine': '#960018', 'Carnation Pink': '#ffa6c9', 'Carrot Orange': '#ed9121', 'Celadon': '#ace1af',
+    'Celeste': '#b2ffff', 'Cerise': '#de3163', 'Cerulean': '#007ba7', 'Champagne': '#f7e7ce',
+    'Charcoal': '#36454f', 'Chestnut': '#954535', 'Chili Red': '#e23d28', 'Cinnabar': '#e34234',
+    'Citron': '#9fa91f', 'Claret': '#7f1734', 'Cobalt Blue': '#0047ab', 'Cocoa': '#875f42',
+    'Coffee': '#6f4e37', 'Copper': '#b87333', 'Cream': '#fffdd0', 'Cyan Blue': '#1ca9c9',
+    'Daffodil': '#ffff31', 'Dandelion': '#f0e130', 'Dark Chocolate': '#3d1f0d', 'Denim': '#1560bd',
+    'Desert Sand': '#edc9af', 'Dove Gray': '#6d6c6c', 'Dusty Rose': '#c0717c', 'Ebony': '#555d50',
+    'Ecru': '#c2b280', 'Eggplant': '#614051', 'Eggshell': '#f0ead6', 'Electric Blue': '#7df9ff',
+    'Electric Purple': '#bf00ff', 'Emerald': '#50c878', 'Fawn': '#e5aa70', 'Fern Green': '#4f7942',
+    'Flame': '#e25822', 'Flamingo Pink': '#fc8eac', 'Flax': '#eedc82', 'Forest Green': '#014421',
+    'French Blue': '#0072bb', 'Frost': '#e1e9ee', 'Garnet': '#733635', 'Ginger': '#b06500',
+    'Glacier Blue': '#a5c8e4', 'Graphite': '#383838', 'Grass Green': '#3f9b0b', 'Gunmetal': '#2a3439',
+    'Harvest Gold': '#da9100', 'Hazel': '#8e7618', 'Heather': '#b7c3d0', 'Heliotrope': '#df73ff',
+    'Hunter Green': '#355e3b', 'Ice Blue': '#99ffff', 'Iris': '#5a4fcf', 'Jade': '#00a86b',
+    'Jasmine': '#f8de7e', 'Jet': '#343434', 'Jungle Green': '#29ab87', 'Kelly Green': '#4cbb17',
+    'Lapis Lazuli': '#26619c', 'Lava': '#cf1020', 'Lemon': '#fff700', 'Lilac': '#c8a2c8',
+    'Lime Green': '#9fe800', 'Liver': '#674c47', 'Lust': '#e62020', 'Magenta Pink': '#cc338b',
+    'Mahogany': '#c04000', 'Maize': '#fbec5d', 'Malachite': '#0bda51', 'Mango': '#fdbe02',
+    'Mauve': '#e0b0ff', 'Mauve Taupe': '#915f6d', 'Melon': '#febaad', 'Mint': '#3eb489',
+    'Mocha': '#967969', 'Moss Green': '#8a9a5b', 'Mountbatten Pink': '#997a8d', 'Mulberry': '#c54b8c',
+    'Mustard': '#ffdb58', 'Myrtle': '#21421e', 'Neon Green': '#39ff14', 'Neon Pink': '#ff6ec7',
+    'Nude': '#e3bc9a', 'Oatmeal': '#dfd7c2', 'Ocean Blue': '#4f42b5', 'Ochre': '#cc7722',
+    'Olivine': '#9ab973', 'Onyx': '#353839', 'Orange Peel': '#ff9f00', 'Oxblood': '#4a0000',
+    'Oxford Blue': '#002147', 'Pastel Blue': '#aec6cf', 'Pastel Green': '#77dd77', 'Pastel Orange': '#ffb347',
+    'Pastel Pink': '#dea5a4', 'Pastel Purple': '#b39eb5', 'Pastel Yellow': '#fdfd96', 'Pea Green': '#8eab12',
+    'Peach': '#ffe5b4', 'Pear': '#d1e231', 'Pearl': '#eae0c8', 'Periwinkle': '#ccccff',
+    'Persian Blue': '#1c39bb', 'Persimmon': '#ec5800', 'Pewter': '#8e8e8e', 'Pine Green': '#01796f',
+    'Pistachio': '#93c572', 'Platinum': '#e5e4e2', 'Plum Purple': '#580f41', 'Poppy': '#e35335',
+    'Prussian Blue': '#003153', 'Pumpkin': '#ff7518', 'Raspberry': '#e30b5c', 'Raw Umber': '#826644',
+    'Razzmatazz': '#e3256b', 'Redwood': '#a45a52', 'Robin Egg Blue': '#00cccc', 'Rose Gold': '#b76e79',
+    'Rose Quartz': '#aa98a9', 'Rosewood': '#65000b', 'Ruby': '#e0115f', 'Rust': '#b7410e',
+    'Saffron': '#f4c430', 'Sage': '#bcb88a', 'Sangria': '#92000a', 'Sapphire': '#0f52ba',
+    'Scarlet': '#ff2400', 'Sepia': '#704214', 'Shamrock': '#009e60', 'Shocking Pink': '#fc0fc0',
+    'Sky Blue': '#76d7ea', 'Smoke': '#738276', 'Spruce': '#0a5f38', 'Steel Gray': '#71797e',
+    'Stone': '#928e85', 'Straw': '#e4d96f', 'Sunflower': '#ffda03', 'Sunset Orange': '#fd5e53',
+    'Tangerine': '#f28500', 'Taupe': '#483c32', 'Tawny': '#cd5700', 'Tea Green': '#d0f0c0',
+    'Terracotta': '#e2725b', 'Tiffany Blue': '#0abab5', 'Titanium': '#878681', 'Toffee': '#755139',
+    'Topaz': '#ffc87c', 'True Blue': '#0073cf', 'Tuscan Red': '#7c4848', 'Twilight': '#4e518b',
+    'Ultramarine': '#3f00ff', 'Umber': '#635147', 'Vanilla': '#f3e5ab', 'Verdigris': '#43b3ae',
+    'Viridian': '#40826d', 'Walnut': '#773f1a', 'Watermelon': '#fc6c85', 'Wine': '#722f37',
+    'Wisteria': '#c9a0dc', 'Xanadu': '#738678', 'Zaffre': '#0014a8', 'Zinnwaldite': '#ebc2af'
+};
+
+let colorNameIndex = null; // [{ name, lab }], built on first use
+const colorNameCache = new Map(); // Hex -> nearest name
+
+// Nearest dictionary name of a hex color
+function findColorName(hex) {
+    const key = hex.toLowerCase();
+    if (colorNameCache.has(key)) return colorNameCache.get(key);
+
+    const { r, g, b } = hexToRgb(key);
+    const lab = rgbToLab(r, g, b);
+    let nearest = null;
+    let nearestDistance = Infinity;
+    getColorNameIndex().forEach(entry => {
+        const distance = deltaE2000(lab, entry.lab);
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = entry.name;
+        }
+    });
+
+    colorNameCache.set(key, nearest);
+    return nearest;
+}
+
+// CSS names first, so they win exact matches; aliases of one hex (gray/grey, ...) keep the first
+function getColorNameIndex() {
+    if (colorNameIndex) return colorNameIndex;
+
+    const seen = new Set();
+    colorNameIndex = [];
+    [...Object.entries(CSS_NAMED_COLORS), ...Object.entries(COMMON_COLOR_NAMES)].forEach(([name, hex]) => {
+        if (seen.has(hex)) return;
+        seen.add(hex);
+        const { r, g, b } = hexToRgb(hex);
+        colorNameIndex.push({ name, lab: rgbToLab(r, g, b) });
+    });
+    return colorNameIndex;
+}
+
+// Code identifier of a color name: "Burnt Sienna" -> "burnt-sienna" (empty when nothing is left)
+function toColorIdentifier(name) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
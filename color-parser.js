@@ -0,0 +1,173 @@
+// Parse colors out of free text: hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb(), hsl(), oklch()
+// and CSS named colors, separated by commas, semicolons, spaces or newlines.
+// Alpha is accepted but dropped, since palette colors are opaque.
+
+const CSS_NAMED_COLORS = {
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+    azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+    blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+    burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+    coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+    cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+    darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+    darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+    darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+    darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+    deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+    dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+    fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+    goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+    grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+    indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+    lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+    lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+    lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+    lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+    lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+    linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+    mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+    mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+    midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+    navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+    olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+    palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+    papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+    plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+    red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+    salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+    sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+    slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+    steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+    tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+    white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+// A color function call, or any run of characters that isn't a separator
+const COLOR_TOKEN_PATTERN = /(?:rgba?|hsla?|oklch)\s*\([^)]*\)?|[^\s,;]+/gi;
+
+// Split text into colors: { colors: ['#rrggbb', ...], invalid: ['token', ...] }
+function parseColorList(text) {
+    const result = { colors: [], invalid: [] };
+    const tokens = text.match(COLOR_TOKEN_PATTERN) || [];
+
+    tokens.forEach(token => {
+        const hex = parseColor(token);
+        if (hex) {
+            result.colors.push(hex);
+        } else {
+            result.invalid.push(token);
+        }
+    });
+
+    return result;
+}
+
+// Parse a single color; returns '#rrggbb' or null
+function parseColor(token) {
+    const value = token.trim().toLowerCase();
+
+    const hexMatch = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value) ||
+        /^([0-9a-f]{6}|[0-9a-f]{8})$/.exec(value); // Bare hex needs all six digits
+    if (hexMatch) {
+        let digits = hexMatch[1];
+        if (digits.length <= 4) {
+            digits = digits.split('').map(digit => digit + digit).join('');
+        }
+        return `#${digits.slice(0, 6)}`;
+    }
+
+    if (CSS_NAMED_COLORS[value]) return CSS_NAMED_COLORS[value];
+
+    const fnMatch = /^(rgba?|hsla?|oklch)\s*\(([^)]*)\)$/.exec(value);
+    if (!fnMatch) return null;
+
+    const args = splitColorArgs(fnMatch[2]);
+    if (!args) return null;
+
+    const rgb = fnMatch[1].startsWith('rgb') ? parseRgbArgs(args)
+        : fnMatch[1].startsWith('hsl') ? parseHslArgs(args)
+        : parseOklchArgs(args);
+    if (!rgb) return null;
+
+    return '#' + [rgb.r, rgb.g, rgb.b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
+
+// Parse an oklch() color into its unclipped { L, C, h }, or null for anything else
+function parseOklchColor(token) {
+    const match = /^oklch\s*\(([^)]*)\)$/.exec(token.trim().toLowerCase());
+    const args = match && splitColorArgs(match[1]);
+    return args ? readOklchArgs(args) : null;
+}
+
+// Split color function arguments, accepting both "a, b, c[, alpha]" and "a b c[ / alpha]"
+function splitColorArgs(text) {
+    const args = text.trim().split(/\s*\/\s*|\s*,\s*|\s+/).filter(Boolean);
+    return args.length >= 3 && args.length <= 4 ? args : null;
+}
+
+// rgb(): numbers 0-255 or percentages
+function parseRgbArgs(args) {
+    const channels = args.slice(0, 3).map(arg => {
+        const number = parseCssNumber(arg);
+        if (number === null) return null;
+        return arg.endsWith('%') ? number * 2.55 : number;
+    });
+    if (channels.includes(null)) return null;
+
+    const [r, g, b] = channels.map(channel => Math.round(Math.max(0, Math.min(255, channel))));
+    return { r, g, b };
+}
+
+// hsl(): hue in deg (default), turn or rad; saturation and lightness in percent
+function parseHslArgs(args) {
+    const hue = parseCssHue(args[0]);
+    const saturation = parseCssNumber(args[1]);
+    const lightness = parseCssNumber(args[2]);
+    if (hue === null || saturation === null || lightness === null) return null;
+
+    return hslToRgb(
+        ((hue % 360) + 360) % 360,
+        Math.max(0, Math.min(100, saturation)),
+        Math.max(0, Math.min(100, lightness))
+    );
+}
+
+// oklch(): lightness 0-1 or percent, chroma as number (100% = 0.4), hue in degrees
+function parseOklchArgs(args) {
+    const oklch = readOklchArgs(args);
+    return oklch && oklchToRgb(oklch.L, oklch.C, oklch.h);
+}
+
+// oklch() arguments as { L, C, h }, or null when one is malformed
+function readOklchArgs(args) {
+    const lightness = parseCssNumber(args[0]);
+    const chroma = parseCssNumber(args[1]);
+    const hue = args[2] === 'none' ? 0 : parseCssHue(args[2]);
+    if (lightness === null || chroma === null || hue === null) return null;
+
+    return {
+        L: args[0].endsWith('%') ? lightness / 100 : lightness,
+        C: Math.max(0, args[1].endsWith('%') ? chroma * 0.004 : chroma),
+        h: ((hue % 360) + 360) % 360
+    };
+}
+
+// Parse a CSS number, allowing a trailing % (the number is returned as written)
+function parseCssNumber(arg) {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)%?$/.exec(arg);
+    return match ? parseFloat(match[1]) : null;
+}
+
+// Parse a CSS hue into degrees
+function parseCssHue(arg) {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/.exec(arg);
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    switch (match[2]) {
+        case 'turn': return value * 360;
+        case 'rad': return value * 180 / Math.PI;
+        case 'grad': return value * 0.9;
+        default: return value;
+    }
+}
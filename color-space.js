@@ -0,0 +1,156 @@
+// Color space conversions shared by the page and the extraction worker.
+// Channels are 0-255 for sRGB, 0-1 for linear light; OKLab follows Björn Ottosson's definition.
+
+// Lookup table: 8-bit sRGB channel -> linear light (0-1)
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Convert an 8-bit sRGB channel to linear light
+function srgbToLinear(value) {
+    return SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(value)))];
+}
+
+// Convert a linear light channel back to an 8-bit sRGB channel
+function linearToSrgb(value) {
+    const v = Math.max(0, Math.min(1, value));
+    const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.round(c * 255);
+}
+
+// Convert linear RGB (0-1) to OKLab
+function linearRgbToOklab(r, g, b) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return {
+        L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+// Convert OKLab to linear RGB (0-1, unclamped)
+function oklabToLinearRgb(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return {
+        r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    };
+}
+
+// Convert 8-bit sRGB to OKLab
+function rgbToOklab(r, g, b) {
+    return linearRgbToOklab(srgbToLinear(r), srgbToLinear(g), srgbToLinear(b));
+}
+
+// Convert OKLab to 8-bit sRGB (clamped to the gamut)
+function oklabToRgb(L, a, b) {
+    const linear = oklabToLinearRgb(L, a, b);
+    return {
+        r: linearToSrgb(linear.r),
+        g: linearToSrgb(linear.g),
+        b: linearToSrgb(linear.b)
+    };
+}
+
+// Convert 8-bit sRGB to OKLCH ({ L, C, h } with h in degrees)
+function rgbToOklch(r, g, b) {
+    const lab = rgbToOklab(r, g, b);
+    const h = Math.atan2(lab.b, lab.a) * 180 / Math.PI;
+    return { L: lab.L, C: Math.hypot(lab.a, lab.b), h: (h + 360) % 360 };
+}
+
+// Convert OKLCH to 8-bit sRGB (channels clipped to the gamut)
+function oklchToRgb(L, C, h) {
+    const radians = h * Math.PI / 180;
+    return oklabToRgb(L, C * Math.cos(radians), C * Math.sin(radians));
+}
+
+// Convert OKLCH to 8-bit sRGB, lowering chroma (keeping lightness and hue) until it fits the gamut
+function oklchToRgbInGamut(L, C, h) {
+    const radians = h * Math.PI / 180;
+    const inGamut = chroma => {
+        const rgb = oklabToLinearRgb(L, chroma * Math.cos(radians), chroma * Math.sin(radians));
+        return [rgb.r, rgb.g, rgb.b].every(v => v >= -0.0001 && v <= 1.0001);
+    };
+    if (L <= 0 || L >= 1 || inGamut(C)) return oklchToRgb(L, C, h);
+
+    let low = 0;
+    let high = C;
+    for (let i = 0; i < 20; i++) {
+        const mid = (low + high) / 2;
+        if (inGamut(mid)) low = mid;
+        else high = mid;
+    }
+    return oklchToRgb(L, low, h);
+}
+
+// Convert 8-bit sRGB to CIE L*a*b* (D65 white point)
+function rgbToLab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const fx = f((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047);
+    const fy = f(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+    const fz = f((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+
+    return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+// CIEDE2000 color difference between two CIE L*a*b* colors (about 1 = just noticeable)
+function deltaE2000(lab1, lab2) {
+    const rad = Math.PI / 180;
+    const c1 = Math.hypot(lab1.a, lab1.b);
+    const c2 = Math.hypot(lab2.a, lab2.b);
+    const cMean7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+    const a1 = lab1.a * (1 + g);
+    const a2 = lab2.a * (1 + g);
+    const cp1 = Math.hypot(a1, lab1.b);
+    const cp2 = Math.hypot(a2, lab2.b);
+    const hp1 = cp1 === 0 ? 0 : (Math.atan2(lab1.b, a1) / rad + 360) % 360;
+    const hp2 = cp2 === 0 ? 0 : (Math.atan2(lab2.b, a2) / rad + 360) % 360;
+
+    const dL = lab2.L - lab1.L;
+    const dC = cp2 - cp1;
+    let dh = 0;
+    if (cp1 * cp2 !== 0) {
+        dh = hp2 - hp1;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+    }
+    const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh / 2 * rad);
+
+    const lMean = (lab1.L + lab2.L) / 2;
+    const cpMean = (cp1 + cp2) / 2;
+    let hMean = hp1 + hp2;
+    if (cp1 * cp2 !== 0) {
+        hMean = Math.abs(hp1 - hp2) > 180
+            ? (hp1 + hp2 + (hp1 + hp2 < 360 ? 360 : -360)) / 2
+            : (hp1 + hp2) / 2;
+    }
+
+    const t = 1 - 0.17 * Math.cos((hMean - 30) * rad) + 0.24 * Math.cos(2 * hMean * rad) +
+        0.32 * Math.cos((3 * hMean + 6) * rad) - 0.20 * Math.cos((4 * hMean - 63) * rad);
+    const sL = 1 + 0.015 * Math.pow(lMean - 50, 2) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+    const sC = 1 + 0.045 * cpMean;
+    const sH = 1 + 0.015 * cpMean * t;
+    const cpMean7 = Math.pow(cpMean, 7);
+    const rT = -2 * Math.sqrt(cpMean7 / (cpMean7 + Math.pow(25, 7))) *
+        Math.sin(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2)) * rad);
+
+    return Math.sqrt(
+        Math.pow(dL / sL, 2) + Math.pow(dC / sC, 2) + Math.pow(dH / sH, 2) + rT * (dC / sC) * (dH / sH)
+    );
+}
@@ -0,0 +1,109 @@
+// Contrast metrics: WCAG 2.x contrast ratio and APCA lightness contrast (Lc, version 0.0.98G-4g),
+// plus a search for the nearest lightness-adjusted color that meets a target.
+
+const CONTRAST_TARGETS = {
+    'aa': { label: 'WCAG AA (4.5:1)', type: 'wcag', value: 4.5 },
+    'aaa': { label: 'WCAG AAA (7:1)', type: 'wcag', value: 7 },
+    'aa-large': { label: 'WCAG AA large text (3:1)', type: 'wcag', value: 3 },
+    'apca-60': { label: 'APCA Lc 60 (large text)', type: 'apca', value: 60 },
+    'apca-75': { label: 'APCA Lc 75 (body text)', type: 'apca', value: 75 },
+    'apca-90': { label: 'APCA Lc 90 (preferred body text)', type: 'apca', value: 90 }
+};
+
+// APCA 0.0.98G-4g constants
+const APCA = {
+    exponent: 2.4,
+    coefficients: [0.2126729, 0.7151522, 0.0721750],
+    normBg: 0.56,
+    normText: 0.57,
+    revText: 0.62,
+    revBg: 0.65,
+    blackThreshold: 0.022,
+    blackClamp: 1.414,
+    scale: 1.14,
+    offset: 0.027,
+    deltaYMin: 0.0005,
+    lowClip: 0.1
+};
+
+// WCAG relative luminance (0-1) of a hex color
+function relativeLuminance(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+}
+
+// WCAG 2.x contrast ratio (1-21); order of the colors doesn't matter
+function contrastRatio(hexA, hexB) {
+    const a = relativeLuminance(hexA);
+    const b = relativeLuminance(hexB);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+// Which WCAG levels a ratio passes, for normal and large text
+function getWcagLevels(ratio) {
+    return {
+        normal: { aa: ratio >= 4.5, aaa: ratio >= 7 },
+        large: { aa: ratio >= 3, aaa: ratio >= 4.5 }
+    };
+}
+
+// APCA lightness contrast of text on a background. Positive for dark text on a light
+// background, negative for light text on a dark one; |Lc| near 0 means unreadable.
+function apcaContrast(textHex, backgroundHex) {
+    const textY = apcaLuminance(textHex);
+    const backgroundY = apcaLuminance(backgroundHex);
+    if (Math.abs(backgroundY - textY) < APCA.deltaYMin) return 0;
+
+    let lc;
+    if (backgroundY > textY) {
+        const sapc = (Math.pow(backgroundY, APCA.normBg) - Math.pow(textY, APCA.normText)) * APCA.scale;
+        lc = sapc < APCA.lowClip ? 0 : sapc - APCA.offset;
+    } else {
+        const sapc = (Math.pow(backgroundY, APCA.revBg) - Math.pow(textY, APCA.revText)) * APCA.scale;
+        lc = sapc > -APCA.lowClip ? 0 : sapc + APCA.offset;
+    }
+    return lc * 100;
+}
+
+// APCA screen luminance, with the soft clamp for near-black colors
+function apcaLuminance(hex) {
+    const rgb = hexToRgb(hex);
+    const y = [rgb.r, rgb.g, rgb.b].reduce((sum, channel, i) => {
+        return sum + APCA.coefficients[i] * Math.pow(channel / 255, APCA.exponent);
+    }, 0);
+    return y > APCA.blackThreshold ? y : y + Math.pow(APCA.blackThreshold - y, APCA.blackClamp);
+}
+
+// Whether a text/background pair meets one of CONTRAST_TARGETS
+function meetsContrastTarget(textHex, backgroundHex, targetId) {
+    const target = CONTRAST_TARGETS[targetId];
+    return target.type === 'wcag'
+        ? contrastRatio(textHex, backgroundHex) >= target.value
+        : Math.abs(apcaContrast(textHex, backgroundHex)) >= target.value;
+}
+
+// Nearest variant of `hex` that meets the target against `otherHex`, changing only OKLCH
+// lightness (chroma and hue are kept, then clipped to sRGB). `role` says whether `hex` is
+// the text or the background. Returns { hex, deltaL } or null when no lightness works.
+function suggestContrastFix(hex, otherHex, targetId, role = 'text') {
+    const passes = candidate => role === 'text'
+        ? meetsContrastTarget(candidate, otherHex, targetId)
+        : meetsContrastTarget(otherHex, candidate, targetId);
+    if (passes(hex)) return { hex, deltaL: 0 };
+
+    const { r, g, b } = hexToRgb(hex);
+    const { L, C, h } = rgbToOklch(r, g, b);
+
+    // Walk outwards in both directions and keep the first passing step
+    for (let step = 0.005; step <= 1; step += 0.005) {
+        for (const lightness of [L - step, L + step]) {
+            if (lightness < 0 || lightness > 1) continue;
+            const candidate = oklchToRgb(lightness, C, h);
+            const candidateHex = rgbToHex(candidate.r, candidate.g, candidate.b);
+            if (passes(candidateHex)) {
+                return { hex: candidateHex, deltaL: lightness - L };
+            }
+        }
+    }
+    return null;
+}
@@ -0,0 +1,111 @@
+// Image coverage of palette colors. Opaque pixels are counted in buckets of 5 bits per channel,
+// so nearest-color searches and ΔE tolerance tests run once per bucket instead of once per pixel.
+
+const COVERAGE_BUCKET_COUNT = 1 << 15;
+
+// Bucket index of an 8-bit RGB color
+function getColorBucket(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+// Center color of a bucket
+function getBucketColor(bucket) {
+    return {
+        r: ((bucket >> 10) << 3) + 4,
+        g: (((bucket >> 5) & 31) << 3) + 4,
+        b: ((bucket & 31) << 3) + 4
+    };
+}
+
+// Count the opaque pixels of a region ({ x, y, width, height }) of ImageData per bucket:
+// { counts, buckets (used bucket indices), labs (their CIELAB colors), total }
+function buildColorHistogram(imageData, region) {
+    const { width, data } = imageData;
+    const counts = new Uint32Array(COVERAGE_BUCKET_COUNT);
+    let total = 0;
+
+    for (let y = region.y; y < region.y + region.height; y++) {
+        let offset = (y * width + region.x) * 4;
+        for (let x = 0; x < region.width; x++, offset += 4) {
+            if (data[offset + 3] === 0) continue;
+            counts[getColorBucket(data[offset], data[offset + 1], data[offset + 2])]++;
+            total++;
+        }
+    }
+
+    const buckets = [];
+    counts.forEach((count, bucket) => {
+        if (count > 0) buckets.push(bucket);
+    });
+    const labs = buckets.map(bucket => {
+        const { r, g, b } = getBucketColor(bucket);
+        return rgbToLab(r, g, b);
+    });
+
+    return { counts, buckets, labs, total };
+}
+
+// Share of the histogram's pixels (0-1) whose nearest swatch is each swatch, in swatch order.
+// Nearest is by CIELAB distance; ties go to the earlier swatch.
+function computeCoverage(histogram, swatches) {
+    const shares = swatches.map(() => 0);
+    if (histogram.total === 0 || swatches.length === 0) return shares;
+
+    const swatchLabs = swatches.map(swatch => {
+        const { r, g, b } = hexToRgb(swatch.hex);
+        return rgbToLab(r, g, b);
+    });
+
+    histogram.buckets.forEach((bucket, i) => {
+        const lab = histogram.labs[i];
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        swatchLabs.forEach((swatchLab, j) => {
+            const dL = lab.L - swatchLab.L;
+            const da = lab.a - swatchLab.a;
+            const db = lab.b - swatchLab.b;
+            const distance = dL * dL + da * da + db * db;
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = j;
+            }
+        });
+        shares[nearest] += histogram.counts[bucket];
+    });
+
+    return shares.map(count => count / histogram.total);
+}
+
+// Buckets within `tolerance` ΔE2000 of a hex color: { matches (1 per matching bucket), share (0-1) }
+function findMatchingBuckets(histogram, hex, tolerance) {
+    const { r, g, b } = hexToRgb(hex);
+    const target = rgbToLab(r, g, b);
+    const matches = new Uint8Array(COVERAGE_BUCKET_COUNT);
+    let matched = 0;
+
+    histogram.buckets.forEach((bucket, i) => {
+        if (deltaE2000(histogram.labs[i], target) <= tolerance) {
+            matches[bucket] = 1;
+            matched += histogram.counts[bucket];
+        }
+    });
+
+    return { matches, share: histogram.total > 0 ? matched / histogram.total : 0 };
+}
+
+// Write a dimming overlay into RGBA `target` (same size as imageData): matching opaque pixels
+// inside the region stay clear, everything else is darkened
+function fillMatchMask(imageData, region, matches, target) {
+    const { width, height, data } = imageData;
+
+    for (let y = 0; y < height; y++) {
+        const inRows = y >= region.y && y < region.y + region.height;
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            const inside = inRows && x >= region.x && x < region.x + region.width;
+            const match = inside && data[offset + 3] > 0 &&
+                matches[getColorBucket(data[offset], data[offset + 1], data[offset + 2])] === 1;
+            target[offset + 3] = match ? 0 : 180;
+        }
+    }
+}
@@ -0,0 +1,131 @@
+// Color-vision-deficiency simulation. Dichromacies and anomalous trichromacies use the
+// Machado, Oliveira & Fernandes (2009) matrices (severity 1.0 and 0.6) on linear RGB;
+// achromatopsia keeps only the luminance.
+
+const CVD_MODES = {
+    none: { label: 'Normal vision' },
+    protanopia: {
+        label: 'Protanopia (no red cones)',
+        matrix: [
+            0.152286, 1.052583, -0.204868,
+            0.114503, 0.786281, 0.099216,
+            -0.003882, -0.048116, 1.051998
+        ]
+    },
+    protanomaly: {
+        label: 'Protanomaly (weak red)',
+        matrix: [
+            0.385450, 0.769005, -0.154455,
+            0.100526, 0.829802, 0.069673,
+            -0.007442, -0.022190, 1.029632
+        ]
+    },
+    deuteranopia: {
+        label: 'Deuteranopia (no green cones)',
+        matrix: [
+            0.367322, 0.860646, -0.227968,
+            0.280085, 0.672501, 0.047413,
+            -0.011820, 0.042940, 0.968881
+        ]
+    },
+    deuteranomaly: {
+        label: 'Deuteranomaly (weak green)',
+        matrix: [
+            0.457771, 0.731899, -0.189670,
+            0.226409, 0.731012, 0.042579,
+            -0.011595, 0.034333, 0.977261
+        ]
+    },
+    tritanopia: {
+        label: 'Tritanopia (no blue cones)',
+        matrix: [
+            1.255528, -0.076749, -0.178779,
+            -0.078411, 0.930809, 0.147602,
+            0.004733, 0.691367, 0.303900
+        ]
+    },
+    tritanomaly: {
+        label: 'Tritanomaly (weak blue)',
+        matrix: [
+            1.104996, -0.046633, -0.058363,
+            -0.032137, 0.971635, 0.060503,
+            0.001336, 0.317922, 0.680742
+        ]
+    },
+    achromatopsia: {
+        label: 'Achromatopsia (no color)',
+        matrix: [
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722
+        ]
+    }
+};
+
+// Linear light (quantized to 1/4095) -> 8-bit sRGB, for fast whole-image conversion
+const LINEAR_TO_SRGB_STEPS = 4095;
+const LINEAR_TO_SRGB = new Uint8Array(LINEAR_TO_SRGB_STEPS + 1).map((_, i) => linearToSrgb(i / LINEAR_TO_SRGB_STEPS));
+
+// Simulate how an 8-bit RGB color looks under a CVD mode
+function simulateCvd(r, g, b, mode) {
+    const matrix = CVD_MODES[mode] && CVD_MODES[mode].matrix;
+    if (!matrix) return { r, g, b };
+
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+    return {
+        r: linearToSrgb(matrix[0] * lr + matrix[1] * lg + matrix[2] * lb),
+        g: linearToSrgb(matrix[3] * lr + matrix[4] * lg + matrix[5] * lb),
+        b: linearToSrgb(matrix[6] * lr + matrix[7] * lg + matrix[8] * lb)
+    };
+}
+
+// Simulate a '#rrggbb' color
+function simulateCvdHex(hex, mode) {
+    if (mode === 'none') return hex;
+    const { r, g, b } = hexToRgb(hex);
+    const simulated = simulateCvd(r, g, b, mode);
+    return rgbToHex(simulated.r, simulated.g, simulated.b);
+}
+
+// Simulate RGBA pixel data into `target` (same length); alpha is copied unchanged
+function simulateCvdPixels(source, target, mode) {
+    const m = CVD_MODES[mode].matrix;
+    const clamp = v => LINEAR_TO_SRGB[Math.round(Math.max(0, Math.min(1, v)) * LINEAR_TO_SRGB_STEPS)];
+
+    for (let i = 0; i < source.length; i += 4) {
+        const lr = SRGB_TO_LINEAR[source[i]];
+        const lg = SRGB_TO_LINEAR[source[i + 1]];
+        const lb = SRGB_TO_LINEAR[source[i + 2]];
+        target[i] = clamp(m[0] * lr + m[1] * lg + m[2] * lb);
+        target[i + 1] = clamp(m[3] * lr + m[4] * lg + m[5] * lb);
+        target[i + 2] = clamp(m[6] * lr + m[7] * lg + m[8] * lb);
+        target[i + 3] = source[i + 3];
+    }
+}
+
+// Pairs of swatches that are distinct with normal vision but fall below the ΔE2000
+// threshold under `mode`: [{ a, b, deltaE }], closest pairs first
+function findConfusablePairs(swatches, mode, threshold) {
+    const labs = swatches.map(swatch => {
+        const { r, g, b } = hexToRgb(swatch.hex);
+        const simulated = simulateCvd(r, g, b, mode);
+        return {
+            normal: rgbToLab(r, g, b),
+            simulated: rgbToLab(simulated.r, simulated.g, simulated.b)
+        };
+    });
+
+    const pairs = [];
+    for (let i = 0; i < swatches.length; i++) {
+        for (let j = i + 1; j < swatches.length; j++) {
+            if (deltaE2000(labs[i].normal, labs[j].normal) < threshold) continue;
+            const deltaE = deltaE2000(labs[i].simulated, labs[j].simulated);
+            if (deltaE < threshold) {
+                pairs.push({ a: swatches[i], b: swatches[j], deltaE });
+            }
+        }
+    }
+    return pairs.sort((p, q) => p.deltaE - q.deltaE);
+}
@@ -0,0 +1,95 @@
+// Near-duplicate detection: group swatches whose colors lie within a CIEDE2000 ΔE threshold
+// and collapse each group into one representative. Every pair inside a group is within the
+// threshold, so a run of slightly different colors can't chain into one long group.
+
+const DEDUPE_REPRESENTATIVES = {
+    medoid: { label: 'Medoid (the most central member)' },
+    mean: { label: 'Mean color (averaged in OKLab)' },
+    recent: { label: 'Most recently added' }
+};
+
+// Groups of near-identical swatches: [[swatch, ...]], each with two or more members in swatch
+// order, ordered by their first member. Locked swatches never share a group.
+function findDuplicateGroups(swatches, threshold) {
+    const labs = swatches.map(swatch => {
+        const { r, g, b } = hexToRgb(swatch.hex);
+        return rgbToLab(r, g, b);
+    });
+    const distances = labs.map(lab => labs.map(other => deltaE2000(lab, other)));
+
+    const pairs = [];
+    for (let i = 0; i < swatches.length; i++) {
+        for (let j = i + 1; j < swatches.length; j++) {
+            if (distances[i][j] <= threshold) pairs.push([i, j]);
+        }
+    }
+    pairs.sort((p, q) => distances[p[0]][p[1]] - distances[q[0]][q[1]]);
+
+    // Join groups closest pair first, as long as the joined group stays within the threshold
+    const groupOf = swatches.map((_, i) => [i]);
+    pairs.forEach(([i, j]) => {
+        const first = groupOf[i];
+        const second = groupOf[j];
+        if (first === second) return;
+        if (first.some(m => second.some(n => distances[m][n] > threshold))) return;
+        if (first.some(m => swatches[m].locked) && second.some(n => swatches[n].locked)) return;
+
+        first.push(...second);
+        second.forEach(n => { groupOf[n] = first; });
+    });
+
+    return [...new Set(groupOf)]
+        .filter(group => group.length > 1)
+        .map(group => group.sort((a, b) => a - b))
+        .sort((a, b) => a[0] - b[0])
+        .map(group => group.map(i => swatches[i]));
+}
+
+// The member a group collapses into and the color it gets: { swatch, hex }.
+// A locked member always wins and keeps its color.
+function chooseRepresentative(group, mode) {
+    const locked = group.find(swatch => swatch.locked);
+    if (locked) return { swatch: locked, hex: locked.hex };
+
+    if (mode === 'recent') {
+        const newest = group.reduce((a, b) => (b.id > a.id ? b : a));
+        return { swatch: newest, hex: newest.hex };
+    }
+
+    const medoid = findMedoid(group);
+    return { swatch: medoid, hex: mode === 'mean' ? getMeanHex(group) : medoid.hex };
+}
+
+// Member with the smallest total ΔE2000 to the others (ties go to the earlier member)
+function findMedoid(group) {
+    const labs = group.map(swatch => {
+        const { r, g, b } = hexToRgb(swatch.hex);
+        return rgbToLab(r, g, b);
+    });
+
+    let medoid = 0;
+    let lowestTotal = Infinity;
+    labs.forEach((lab, i) => {
+        const total = labs.reduce((sum, other) => sum + deltaE2000(lab, other), 0);
+        if (total < lowestTotal) {
+            lowestTotal = total;
+            medoid = i;
+        }
+    });
+    return group[medoid];
+}
+
+// Average color of a group in OKLab
+function getMeanHex(group) {
+    const sum = { L: 0, a: 0, b: 0 };
+    group.forEach(swatch => {
+        const { r, g, b } = hexToRgb(swatch.hex);
+        const lab = rgbToOklab(r, g, b);
+        sum.L += lab.L;
+        sum.a += lab.a;
+        sum.b += lab.b;
+    });
+
+    const { r, g, b } = oklabToRgb(sum.L / group.length, sum.a / group.length, sum.b / group.length);
+    return rgbToHex(r, g, b);
+}
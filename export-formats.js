@@ -0,0 +1,172 @@
+// Palette code export: CSS, SCSS, Less, Tailwind, W3C design tokens and plain JSON.
+// Swatches export under their own name, then their structured name from the advanced prefill
+// (primary, primary-lighter, secondary-2-desaturated, ...), then their automatic color name.
+// Plain JSON and design tokens also carry where each color was taken from in the image.
+// Semantic roles (see roles.js) export as aliases of the colors: `--role-primary: var(--burgundy)`.
+
+const TOKEN_EXTENSION_KEY = 'io.github.wolffm.color-palette-picker';
+
+const EXPORT_FORMATS = {
+    css: { label: 'CSS custom properties', filename: 'palette.css', mimeType: 'text/css' },
+    scss: { label: 'SCSS variables', filename: '_palette.scss', mimeType: 'text/x-scss' },
+    less: { label: 'Less variables', filename: 'palette.less', mimeType: 'text/x-less' },
+    tailwind: { label: 'Tailwind theme.colors', filename: 'tailwind.colors.js', mimeType: 'text/javascript' },
+    tokens: { label: 'Design Tokens (DTCG JSON)', filename: 'palette.tokens.json', mimeType: 'application/json' },
+    json: { label: 'Plain JSON', filename: 'palette.json', mimeType: 'application/json' }
+};
+
+// Format swatches as code in one of EXPORT_FORMATS
+function formatPalette(format, swatches, prefix = '') {
+    const entries = getExportEntries(swatches);
+
+    switch (format) {
+        case 'css': {
+            const lines = entries.map(entry => `  --${joinExportName(prefix, entry.name)}: ${entry.hex};`);
+            const aliases = getRoleAliases(entries).map(({ role, entry }) =>
+                `  --${joinExportName(prefix, `role-${role}`)}: var(--${joinExportName(prefix, entry.name)});`);
+            return `:root {\n${joinExportSections(lines, aliases)}\n}\n`;
+        }
+        case 'scss':
+        case 'less': {
+            const sigil = format === 'scss' ? '$' : '@';
+            const lines = entries.map(entry => `${sigil}${joinExportName(prefix, entry.name)}: ${entry.hex};`);
+            const aliases = getRoleAliases(entries).map(({ role, entry }) =>
+                `${sigil}${joinExportName(prefix, `role-${role}`)}: ${sigil}${joinExportName(prefix, entry.name)};`);
+            return joinExportSections(lines, aliases) + '\n';
+        }
+        case 'tailwind':
+            return formatTailwind(entries, prefix);
+        case 'tokens':
+            return JSON.stringify(buildTokens(entries, prefix), null, 2) + '\n';
+        case 'json': {
+            const list = entries.map(entry => ({
+                name: joinExportName(prefix, entry.name),
+                hex: entry.hex,
+                ...(entry.roles.length > 0 && { roles: entry.roles }),
+                ...(entry.source && { source: entry.source })
+            }));
+            return JSON.stringify(list, null, 2) + '\n';
+        }
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+// Name every swatch: [{ name, group, variant, hex, roles, source }].
+// `group`/`variant` are the structured parts (variant null for a group's base color);
+// other swatches get group null and their name as an identifier, or a running number
+// when nothing of the name is usable. Flat names stay clear of every group and structured
+// name, since formats that nest groups would otherwise give both the same key.
+function getExportEntries(swatches) {
+    const used = new Set();
+    const reserved = new Set();
+    swatches.filter(swatch => swatch.group && !swatch.name).forEach(swatch => {
+        reserved.add(swatch.group);
+        if (swatch.variant) reserved.add(`${swatch.group}-${swatch.variant}`);
+    });
+    let number = 0;
+
+    return swatches.map(swatch => {
+        const ownName = swatch.name ? toColorIdentifier(swatch.name) : '';
+        let group = ownName ? null : swatch.group || null;
+        const variant = group ? swatch.variant || null : null;
+        const baseName = group
+            ? (variant ? `${group}-${variant}` : group)
+            : ownName || toColorIdentifier(findColorName(swatch.hex)) || String(++number);
+
+        // Keep names unique when two swatches share a name
+        let name = baseName;
+        for (let n = 2; used.has(name) || (!group && reserved.has(name)); n++) {
+            name = `${baseName}-${n}`;
+            if (group) group = `${swatch.group}-${n}`;
+        }
+        used.add(name);
+
+        return { name, group, variant, hex: swatch.hex.toLowerCase(), roles: swatch.roles || [], source: swatch.source || null };
+    });
+}
+
+// Assigned roles in PALETTE_ROLES order: [{ role, entry }]
+function getRoleAliases(entries) {
+    return Object.keys(PALETTE_ROLES)
+        .map(role => ({ role, entry: entries.find(entry => entry.roles.includes(role)) }))
+        .filter(alias => alias.entry);
+}
+
+// Color lines, then a blank line and the role aliases when there are any
+function joinExportSections(lines, aliases) {
+    return aliases.length > 0 ? `${lines.join('\n')}\n\n${aliases.join('\n')}` : lines.join('\n');
+}
+
+// Prefix a name; bare numbers always get a prefix so they stay valid identifiers
+function joinExportName(prefix, name) {
+    if (prefix) return `${prefix}-${name}`;
+    return /^\d/.test(name) ? `color-${name}` : name;
+}
+
+// Tailwind config snippet: structured groups become nested color scales
+function formatTailwind(entries, prefix) {
+    const colorsObject = {};
+    entries.forEach(entry => {
+        if (entry.group) {
+            const group = colorsObject[entry.group] || (colorsObject[entry.group] = {});
+            group[entry.variant || 'DEFAULT'] = entry.hex;
+        } else {
+            colorsObject[prefix ? entry.name : joinExportName('', entry.name)] = entry.hex;
+        }
+    });
+
+    const aliases = getRoleAliases(entries);
+    if (aliases.length > 0) {
+        colorsObject.role = {};
+        aliases.forEach(({ role, entry }) => {
+            colorsObject.role[role] = entry.hex;
+        });
+    }
+
+    const theme = prefix ? { [prefix]: colorsObject } : colorsObject;
+    return `// tailwind.config.js\nmodule.exports = {\n  theme: {\n    colors: ${formatJsObject(theme, 2)},\n  },\n};\n`;
+}
+
+// Write a plain object as a JavaScript literal with single-quoted strings
+function formatJsObject(object, depth) {
+    const indent = '  '.repeat(depth + 1);
+    const lines = Object.entries(object).map(([key, value]) => {
+        const jsKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+        const jsValue = typeof value === 'object' ? formatJsObject(value, depth + 1) : `'${value}'`;
+        return `${indent}${jsKey}: ${jsValue},`;
+    });
+    return `{\n${lines.join('\n')}\n${'  '.repeat(depth)}}`;
+}
+
+// W3C Design Tokens Community Group format: groups of { $type, $value } tokens.
+// Roles become alias tokens ("{primary.base}") in a `role` group.
+function buildTokens(entries, prefix) {
+    const tokens = {};
+    const paths = new Map(); // Entry -> its token path
+    entries.forEach(entry => {
+        const token = { $type: 'color', $value: entry.hex };
+        if (entry.source) {
+            token.$extensions = { [TOKEN_EXTENSION_KEY]: { source: entry.source } };
+        }
+        if (entry.group) {
+            const group = tokens[entry.group] || (tokens[entry.group] = {});
+            group[entry.variant || 'base'] = token;
+            paths.set(entry, `${entry.group}.${entry.variant || 'base'}`);
+        } else {
+            const key = prefix ? entry.name : joinExportName('', entry.name);
+            tokens[key] = token;
+            paths.set(entry, key);
+        }
+    });
+
+    const aliases = getRoleAliases(entries);
+    if (aliases.length > 0) {
+        tokens.role = {};
+        aliases.forEach(({ role, entry }) => {
+            const path = prefix ? `${prefix}.${paths.get(entry)}` : paths.get(entry);
+            tokens.role[role] = { $type: 'color', $value: `{${path}}` };
+        });
+    }
+    return prefix ? { [prefix]: tokens } : tokens;
+}
@@ -0,0 +1,38 @@
+// Palette extraction worker.
+// Receives either a transferred ImageBitmap (read back through an OffscreenCanvas)
+// or a transferred RGBA buffer, and answers with progress and result messages.
+importScripts('color-space.js', 'quantizer.js');
+
+const PROGRESS_INTERVAL = 50; // Minimum ms between progress messages
+
+self.onmessage = (e) => {
+    const { id, bitmap, buffer, width, height, options } = e.data;
+
+    try {
+        const pixels = bitmap ? readBitmapPixels(bitmap) : new Uint8ClampedArray(buffer, 0, width * height * 4);
+
+        let lastProgress = 0;
+        const palette = quantizePixels(pixels, {
+            ...options,
+            onProgress: (progress) => {
+                const now = Date.now();
+                if (now - lastProgress < PROGRESS_INTERVAL) return;
+                lastProgress = now;
+                self.postMessage({ id, type: 'progress', progress });
+            }
+        });
+
+        self.postMessage({ id, type: 'result', palette });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
+
+// Draw a bitmap onto an OffscreenCanvas and read its pixels
+function readBitmapPixels(bitmap) {
+    const offscreen = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const offscreenCtx = offscreen.getContext('2d');
+    offscreenCtx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return offscreenCtx.getImageData(0, 0, offscreen.width, offscreen.height).data;
+}
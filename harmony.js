@@ -0,0 +1,31 @@
+// Color harmonies computed in OKLCH: hue rotations keep the base lightness and chroma,
+// the monochromatic scheme steps lightness instead. Out-of-gamut results lose chroma, not hue.
+
+const HARMONY_TYPES = {
+    complementary: { label: 'Complementary', hues: [180] },
+    'split-complementary': { label: 'Split-complementary', hues: [150, 210] },
+    analogous: { label: 'Analogous', hues: [-30, 30] },
+    triadic: { label: 'Triadic', hues: [120, 240] },
+    tetradic: { label: 'Tetradic', hues: [90, 180, 270] },
+    monochromatic: { label: 'Monochromatic', lightness: [-0.3, -0.15, 0.15, 0.3] }
+};
+
+// Harmony colors for a base hex color, excluding the base: ['#rrggbb', ...]
+function createHarmony(hex, type) {
+    const harmony = HARMONY_TYPES[type];
+    const { r, g, b } = hexToRgb(hex);
+    const base = rgbToOklch(r, g, b);
+
+    const toHex = (L, C, h) => {
+        const rgb = oklchToRgbInGamut(L, C, h);
+        return rgbToHex(rgb.r, rgb.g, rgb.b);
+    };
+
+    if (harmony.lightness) {
+        // Keep the steps inside the usable range, so very light or dark bases still get a spread
+        const center = Math.max(0.35, Math.min(0.65, base.L));
+        return harmony.lightness.map(offset => toHex(center + offset, base.C, base.h))
+            .filter(result => result !== hex);
+    }
+    return harmony.hues.map(offset => toHex(base.L, base.C, (base.h + offset + 360) % 360));
+}
@@ -0,0 +1,285 @@
+// Palette image export. A layout (positions of the thumbnail, headings, swatches and their
+// label lines) is computed once and then drawn on a canvas for PNG or written out as SVG,
+// so both files look the same.
+
+const PALETTE_IMAGE_LAYOUTS = {
+    grid: { label: 'Grid' },
+    strip: { label: 'Strip (one row)' },
+    groups: { label: 'Grouped by prefill tier' }
+};
+
+const PALETTE_IMAGE_LABELS = {
+    hex: { label: 'Hex' },
+    rgb: { label: 'RGB' },
+    hsl: { label: 'HSL' },
+    name: { label: 'Name' }
+};
+
+const PALETTE_IMAGE_FONTS = {
+    mono: '"Courier New", monospace',
+    sans: 'Arial, Helvetica, sans-serif'
+};
+const PALETTE_IMAGE_HEADING_TEXT = '#333333'; // Headings on a transparent background
+
+// Lay out swatch items ({ hex, name, group, source }) for export.
+// `options`: { layout, columns, size, labels, background ('transparent' or a hex),
+// thumbnail ({ width, height } of the source image, or null) }.
+// `measure(text, font)` returns a text width in pixels, used to shorten labels that don't fit.
+// Returns { width, height, background, headings: [{ x, y, text, font, color }],
+// swatches: [{ x, y, width, height, hex, border, lines: [{ x, y, text, font, color }] }],
+// thumbnail: { x, y, width, height, markers: [{ x, y, radius, hex }] } or null }.
+function buildPaletteImageLayout(items, options, measure) {
+    const size = options.size;
+    const gap = Math.round(size / 10);
+    const fontSize = Math.max(9, Math.round(size * 0.12));
+    const headingColor = options.background === 'transparent'
+        ? PALETTE_IMAGE_HEADING_TEXT
+        : getContrastColor(options.background);
+
+    const rows = getPaletteImageRows(items, options);
+    const columns = Math.max(1, ...rows.map(row => row.items.length));
+    const swatchHeight = options.layout === 'strip' ? size * 2 : size;
+    const width = columns * size;
+
+    const layout = { width, height: 0, background: options.background, headings: [], swatches: [], thumbnail: null };
+    let y = 0;
+
+    if (options.thumbnail) {
+        layout.thumbnail = layoutThumbnail(items, options.thumbnail, width, size);
+        y = layout.thumbnail.height + gap;
+    }
+
+    rows.forEach(row => {
+        if (row.heading) {
+            y += row === rows[0] && !layout.thumbnail ? 0 : gap;
+            layout.headings.push({
+                x: 0,
+                y: y + fontSize,
+                text: row.heading,
+                font: `bold ${fontSize + 2}px ${PALETTE_IMAGE_FONTS.sans}`,
+                color: headingColor
+            });
+            y += Math.round(fontSize * 2);
+        }
+        row.items.forEach((item, index) => {
+            const x = index * size;
+            layout.swatches.push({
+                x,
+                y,
+                width: size,
+                height: swatchHeight,
+                hex: item.hex,
+                border: options.layout !== 'strip',
+                lines: layoutSwatchLabels(item, options, x, y, size, swatchHeight, fontSize, measure)
+            });
+        });
+        y += swatchHeight;
+    });
+
+    layout.height = y;
+    return layout;
+}
+
+// Rows of the layout: [{ heading, items }]. Grid rows wrap at the column count, a strip is one
+// row, and grouped layouts give every tier a heading and every group its own wrapped rows.
+function getPaletteImageRows(items, options) {
+    const columns = Math.max(1, options.columns);
+    const wrap = (list, heading) => {
+        const rows = [];
+        for (let i = 0; i < list.length; i += columns) {
+            rows.push({ heading: i === 0 ? heading : null, items: list.slice(i, i + columns) });
+        }
+        return rows;
+    };
+
+    if (options.layout === 'strip') return [{ heading: null, items }];
+    if (options.layout !== 'groups') return wrap(items, null);
+
+    // Tier of a group: "secondary-2" and "secondary-3" are both "secondary"
+    const tiers = new Map();
+    items.forEach(item => {
+        const tier = item.group ? item.group.replace(/-\d+$/, '') : 'other';
+        const groups = tiers.get(tier) || tiers.set(tier, new Map()).get(tier);
+        const key = item.group || '';
+        (groups.get(key) || groups.set(key, []).get(key)).push(item);
+    });
+
+    // Ungrouped colors come last
+    const order = [...tiers.keys()].filter(tier => tier !== 'other');
+    if (tiers.has('other')) order.push('other');
+
+    return order.flatMap(tier => [...tiers.get(tier).values()].flatMap((list, index) => {
+        const rows = wrap(list, null);
+        if (index === 0) rows[0].heading = tier === 'other' ? 'Other colors' : tier;
+        return rows;
+    }));
+}
+
+// The source image above the swatches, at most as tall as three quarters of its width,
+// with a marker on every picked color
+function layoutThumbnail(items, image, width, size) {
+    const scale = Math.min(width / image.width, (width * 0.75) / image.height);
+    const thumbnail = {
+        x: Math.round((width - image.width * scale) / 2),
+        y: 0,
+        width: Math.round(image.width * scale),
+        height: Math.round(image.height * scale),
+        markers: []
+    };
+
+    items.forEach(item => {
+        if (!item.source || item.source.type !== 'pick') return;
+        thumbnail.markers.push({
+            x: thumbnail.x + (item.source.x + 0.5) * scale,
+            y: thumbnail.y + (item.source.y + 0.5) * scale,
+            radius: Math.max(4, Math.round(size * 0.08)),
+            hex: item.hex
+        });
+    });
+    return thumbnail;
+}
+
+// Label lines of one swatch, centered in it (near the bottom for tall strip swatches)
+function layoutSwatchLabels(item, options, x, y, width, height, fontSize, measure) {
+    const color = getContrastColor(item.hex);
+    const lines = formatSwatchLabels(item, options.labels);
+    const lineHeight = Math.round(fontSize * 1.35);
+    const centerY = options.layout === 'strip' ? y + height - lineHeight * (lines.length / 2 + 0.5) : y + height / 2;
+    const firstY = centerY - ((lines.length - 1) * lineHeight) / 2;
+
+    return lines.map((line, index) => {
+        const font = line.kind === 'name'
+            ? `${fontSize - 1}px ${PALETTE_IMAGE_FONTS.sans}`
+            : `${line.kind === 'hex' ? 'bold ' : ''}${line.kind === 'hex' ? fontSize : fontSize - 2}px ${PALETTE_IMAGE_FONTS.mono}`;
+        return {
+            x: x + width / 2,
+            y: firstY + index * lineHeight,
+            text: fitLabel(line.text, font, width - 12, measure),
+            font,
+            color
+        };
+    });
+}
+
+// The chosen labels of a swatch, in PALETTE_IMAGE_LABELS order: [{ kind, text }]
+function formatSwatchLabels(item, labels) {
+    const { r, g, b } = hexToRgb(item.hex);
+    const texts = {
+        hex: item.hex.toUpperCase(),
+        rgb: `rgb(${r}, ${g}, ${b})`,
+        hsl: (hsl => `hsl(${Math.round(hsl.h)}, ${Math.round(hsl.s)}%, ${Math.round(hsl.l)}%)`)(rgbToHsl(r, g, b)),
+        name: item.name
+    };
+    return Object.keys(PALETTE_IMAGE_LABELS)
+        .filter(kind => labels[kind] && texts[kind])
+        .map(kind => ({ kind, text: texts[kind] }));
+}
+
+// Shorten text with an ellipsis until it fits
+function fitLabel(text, font, maxWidth, measure) {
+    if (measure(text, font) <= maxWidth) return text;
+
+    let end = text.length;
+    while (end > 1 && measure(`${text.slice(0, end)}…`, font) > maxWidth) end--;
+    return `${text.slice(0, end)}…`;
+}
+
+// Draw a layout on a 2D context sized to it; `image` is the thumbnail source
+function drawPaletteImage(context, layout, image) {
+    context.clearRect(0, 0, layout.width, layout.height);
+    if (layout.background !== 'transparent') {
+        context.fillStyle = layout.background;
+        context.fillRect(0, 0, layout.width, layout.height);
+    }
+
+    if (layout.thumbnail && image) {
+        const { x, y, width, height, markers } = layout.thumbnail;
+        context.drawImage(image, x, y, width, height);
+        markers.forEach(marker => {
+            context.beginPath();
+            context.arc(marker.x, marker.y, marker.radius, 0, Math.PI * 2);
+            context.fillStyle = marker.hex;
+            context.fill();
+            context.lineWidth = 2;
+            context.strokeStyle = '#ffffff';
+            context.stroke();
+            context.beginPath();
+            context.arc(marker.x, marker.y, marker.radius + 1.5, 0, Math.PI * 2);
+            context.lineWidth = 1;
+            context.strokeStyle = '#000000';
+            context.stroke();
+        });
+    }
+
+    context.textBaseline = 'middle';
+    layout.headings.forEach(heading => {
+        context.font = heading.font;
+        context.fillStyle = heading.color;
+        context.textAlign = 'left';
+        context.fillText(heading.text, heading.x + 4, heading.y);
+    });
+
+    layout.swatches.forEach(swatch => {
+        context.fillStyle = swatch.hex;
+        context.fillRect(swatch.x, swatch.y, swatch.width, swatch.height);
+        if (swatch.border) {
+            context.strokeStyle = '#333333';
+            context.lineWidth = 2;
+            context.strokeRect(swatch.x, swatch.y, swatch.width, swatch.height);
+        }
+
+        context.textAlign = 'center';
+        swatch.lines.forEach(line => {
+            context.font = line.font;
+            context.fillStyle = line.color;
+            context.fillText(line.text, line.x, line.y);
+        });
+    });
+}
+
+// The same layout as an SVG document; `imageHref` is a data URL of the thumbnail
+function writePaletteSvg(layout, imageHref) {
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`
+    ];
+    if (layout.background !== 'transparent') {
+        parts.push(`  <rect width="100%" height="100%" fill="${layout.background}"/>`);
+    }
+
+    if (layout.thumbnail && imageHref) {
+        const { x, y, width, height, markers } = layout.thumbnail;
+        parts.push(`  <image x="${x}" y="${y}" width="${width}" height="${height}" href="${imageHref}"/>`);
+        markers.forEach(marker => {
+            const cx = marker.x.toFixed(1);
+            const cy = marker.y.toFixed(1);
+            parts.push(`  <circle cx="${cx}" cy="${cy}" r="${marker.radius}" fill="${marker.hex}" stroke="#ffffff" stroke-width="2"/>`);
+            parts.push(`  <circle cx="${cx}" cy="${cy}" r="${marker.radius + 1.5}" fill="none" stroke="#000000" stroke-width="1"/>`);
+        });
+    }
+
+    layout.headings.forEach(heading => {
+        parts.push(`  <text x="${heading.x + 4}" y="${heading.y}" dominant-baseline="middle" fill="${heading.color}" ${getSvgFontAttributes(heading.font)}>${escapeXml(heading.text)}</text>`);
+    });
+
+    layout.swatches.forEach(swatch => {
+        const stroke = swatch.border ? ' stroke="#333333" stroke-width="2"' : '';
+        parts.push(`  <rect x="${swatch.x}" y="${swatch.y}" width="${swatch.width}" height="${swatch.height}" fill="${swatch.hex}"${stroke}/>`);
+        swatch.lines.forEach(line => {
+            parts.push(`  <text x="${line.x}" y="${line.y}" text-anchor="middle" dominant-baseline="middle" fill="${line.color}" ${getSvgFontAttributes(line.font)}>${escapeXml(line.text)}</text>`);
+        });
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n') + '\n';
+}
+
+// SVG attributes of a canvas font string like 'bold 12px "Courier New", monospace'
+function getSvgFontAttributes(font) {
+    const [, weight, size, family] = font.match(/^(bold )?(\d+)px (.+)$/);
+    return `font-family='${family}' font-size="${size}"${weight ? ' font-weight="bold"' : ''}`;
+}
+
+// Escape text for an SVG text node or attribute
+function escapeXml(text) {
+    return text.replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+}
@@ -0,0 +1,209 @@
+// Palette extraction (median cut and k-means) in OKLab.
+// Works on raw RGBA pixel data so it can run on the page or inside a worker.
+
+const QUANTIZE_ALPHA_THRESHOLD = 125; // Pixels more transparent than this are ignored
+const KMEANS_MAX_ITERATIONS = 20;
+const KMEANS_CONVERGENCE = 1e-5; // Squared OKLab distance a centroid may still move when done
+
+const QUANTIZE_ALGORITHMS = ['median-cut', 'kmeans'];
+const PROGRESS_STEPS = 20; // How often long loops report progress
+
+// Extract the dominant colors from RGBA pixel data.
+// Returns [{ r, g, b, population, weight }] sorted by population, most common first.
+// `onProgress` receives a fraction between 0 and 1 as the phases complete.
+function quantizePixels(pixels, options = {}) {
+    const {
+        algorithm = 'median-cut',
+        colorCount = 20,
+        quality = 10,
+        onProgress = () => {}
+    } = options;
+
+    if (!QUANTIZE_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unknown quantization algorithm: ${algorithm}`);
+    }
+
+    // Sampling takes the first 40%, clustering the rest (split with k-means when used)
+    const medianCutEnd = algorithm === 'kmeans' ? 0.6 : 1;
+    const samples = samplePixels(pixels, Math.max(1, Math.round(quality)), p => onProgress(p * 0.4));
+    const sampleCount = samples.length / 3;
+    if (sampleCount === 0) return [];
+
+    let clusters = medianCut(samples, colorCount, p => onProgress(0.4 + p * (medianCutEnd - 0.4)));
+    if (algorithm === 'kmeans') {
+        clusters = kMeans(samples, clusters.map(cluster => cluster.center), p => onProgress(0.6 + p * 0.4));
+    }
+    onProgress(1);
+
+    return clusters
+        .filter(cluster => cluster.population > 0)
+        .sort((a, b) => b.population - a.population)
+        .map(cluster => {
+            const rgb = oklabToRgb(cluster.center[0], cluster.center[1], cluster.center[2]);
+            return {
+                r: rgb.r,
+                g: rgb.g,
+                b: rgb.b,
+                population: cluster.population,
+                weight: cluster.population / sampleCount
+            };
+        });
+}
+
+// Read every `step`-th opaque pixel into a flat OKLab array [L, a, b, L, a, b, ...]
+function samplePixels(pixels, step, onProgress) {
+    const pixelCount = pixels.length / 4;
+    const samples = new Float32Array(Math.ceil(pixelCount / step) * 3);
+    const reportEvery = Math.max(step, Math.ceil(pixelCount / PROGRESS_STEPS));
+    let count = 0;
+
+    for (let i = 0; i < pixelCount; i += step) {
+        if (i % reportEvery < step) onProgress(i / pixelCount);
+        const offset = i * 4;
+        if (pixels[offset + 3] < QUANTIZE_ALPHA_THRESHOLD) continue;
+
+        const lab = linearRgbToOklab(
+            SRGB_TO_LINEAR[pixels[offset]],
+            SRGB_TO_LINEAR[pixels[offset + 1]],
+            SRGB_TO_LINEAR[pixels[offset + 2]]
+        );
+        samples[count * 3] = lab.L;
+        samples[count * 3 + 1] = lab.a;
+        samples[count * 3 + 2] = lab.b;
+        count++;
+    }
+
+    return samples.subarray(0, count * 3);
+}
+
+// Median cut: repeatedly split the box with the largest population-weighted extent
+function medianCut(samples, colorCount, onProgress) {
+    const sampleCount = samples.length / 3;
+    const indices = new Uint32Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) indices[i] = i;
+
+    const boxes = [createBox(samples, indices, 0, sampleCount)];
+
+    while (boxes.length < colorCount) {
+        // Pick the box that is both populous and spread out; single-color boxes have no extent
+        let target = -1;
+        let bestScore = 0;
+        boxes.forEach((box, index) => {
+            const score = box.end - box.start > 1 ? (box.end - box.start) * box.extent : 0;
+            if (score > bestScore) {
+                bestScore = score;
+                target = index;
+            }
+        });
+        if (target === -1) break; // Nothing left to split
+        onProgress(boxes.length / colorCount);
+
+        const box = boxes[target];
+        const sorted = Array.from(indices.subarray(box.start, box.end))
+            .sort((a, b) => samples[a * 3 + box.axis] - samples[b * 3 + box.axis]);
+        indices.set(sorted, box.start);
+
+        const middle = findSplitIndex(samples, indices, box);
+        boxes.splice(target, 1,
+            createBox(samples, indices, box.start, middle),
+            createBox(samples, indices, middle, box.end)
+        );
+    }
+
+    return boxes.map(box => ({ center: box.center, population: box.end - box.start }));
+}
+
+// Index to cut a box sorted on its axis at: the value boundary nearest the median sample,
+// so equal values never end up in two boxes. Only called for boxes with a nonzero extent.
+function findSplitIndex(samples, indices, box) {
+    const valueAt = i => samples[indices[i] * 3 + box.axis];
+    const middle = box.start + Math.floor((box.end - box.start) / 2);
+    const median = valueAt(middle);
+
+    let upper = middle;
+    while (upper < box.end && valueAt(upper) === median) upper++;
+    let lower = middle;
+    while (lower > box.start && valueAt(lower - 1) === median) lower--;
+
+    if (upper === box.end) return lower;
+    if (lower === box.start) return upper;
+    return upper - middle <= middle - lower ? upper : lower;
+}
+
+// Describe the samples in indices[start, end): bounds, widest axis and mean color
+function createBox(samples, indices, start, end) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const sum = [0, 0, 0];
+
+    for (let i = start; i < end; i++) {
+        const offset = indices[i] * 3;
+        for (let axis = 0; axis < 3; axis++) {
+            const value = samples[offset + axis];
+            if (value < min[axis]) min[axis] = value;
+            if (value > max[axis]) max[axis] = value;
+            sum[axis] += value;
+        }
+    }
+
+    const ranges = max.map((value, axis) => value - min[axis]);
+    const axis = ranges.indexOf(Math.max(...ranges));
+    const count = Math.max(1, end - start);
+
+    return {
+        start,
+        end,
+        axis,
+        extent: ranges[axis],
+        center: sum.map(value => value / count)
+    };
+}
+
+// K-means (Lloyd's algorithm) seeded with the given centers, so results are reproducible
+function kMeans(samples, seeds, onProgress) {
+    const sampleCount = samples.length / 3;
+    const k = seeds.length;
+    const centers = seeds.map(center => center.slice());
+    const populations = new Array(k).fill(0);
+
+    for (let iteration = 0; iteration < KMEANS_MAX_ITERATIONS; iteration++) {
+        const sums = centers.map(() => [0, 0, 0]);
+        populations.fill(0);
+
+        // Assign every sample to its nearest center
+        for (let i = 0; i < sampleCount; i++) {
+            const offset = i * 3;
+            let nearest = 0;
+            let nearestDistance = Infinity;
+            for (let c = 0; c < k; c++) {
+                const dL = samples[offset] - centers[c][0];
+                const da = samples[offset + 1] - centers[c][1];
+                const db = samples[offset + 2] - centers[c][2];
+                const distance = dL * dL + da * da + db * db;
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearest = c;
+                }
+            }
+            populations[nearest]++;
+            sums[nearest][0] += samples[offset];
+            sums[nearest][1] += samples[offset + 1];
+            sums[nearest][2] += samples[offset + 2];
+        }
+
+        // Move centers to the mean of their members
+        let maxShift = 0;
+        centers.forEach((center, c) => {
+            if (populations[c] === 0) return;
+            const next = sums[c].map(value => value / populations[c]);
+            const shift = (next[0] - center[0]) ** 2 + (next[1] - center[1]) ** 2 + (next[2] - center[2]) ** 2;
+            maxShift = Math.max(maxShift, shift);
+            centers[c] = next;
+        });
+
+        if (maxShift < KMEANS_CONVERGENCE) break;
+        onProgress((iteration + 1) / KMEANS_MAX_ITERATIONS);
+    }
+
+    return centers.map((center, c) => ({ center, population: populations[c] }));
+}
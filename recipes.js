@@ -0,0 +1,168 @@
+// Advanced-prefill recipes: how many base colors to extract, grouped into tiers, and which
+// variations every base color of a tier gets.
+// Recipe: { id, name, tiers: [{ count, variations: [{ op, amount }] }] }
+
+const RECIPE_OPERATIONS = {
+    lighter: { label: 'Lighter', unit: '% lightness', defaultAmount: 15 },
+    darker: { label: 'Darker', unit: '% lightness', defaultAmount: 15 },
+    desaturated: { label: 'Desaturated', unit: '% saturation', defaultAmount: 30 },
+    saturated: { label: 'Saturated', unit: '% saturation', defaultAmount: 20 },
+    'hue-shift': { label: 'Hue shift', unit: '° hue', defaultAmount: 30 },
+    tone: { label: 'Tonal ramp step', unit: '(50–950)', defaultAmount: 100 }
+};
+
+const BUILTIN_RECIPES = [
+    {
+        id: 'classic',
+        name: 'Classic',
+        builtin: true,
+        tiers: [
+            {
+                count: 1,
+                variations: [
+                    { op: 'lighter', amount: 15 },
+                    { op: 'darker', amount: 15 },
+                    { op: 'desaturated', amount: 30 },
+                    { op: 'saturated', amount: 20 }
+                ]
+            },
+            {
+                count: 4,
+                variations: [
+                    { op: 'lighter', amount: 15 },
+                    { op: 'darker', amount: 15 },
+                    { op: 'desaturated', amount: 30 }
+                ]
+            }
+        ]
+    },
+    {
+        id: 'tonal',
+        name: 'Tonal ramp',
+        builtin: true,
+        tiers: [
+            {
+                count: 1,
+                variations: [100, 300, 700, 900].map(step => ({ op: 'tone', amount: step }))
+            },
+            {
+                count: 4,
+                variations: [100, 500, 900].map(step => ({ op: 'tone', amount: step }))
+            }
+        ]
+    }
+];
+
+const RECIPE_TIER_NAMES = ['primary', 'secondary', 'tertiary'];
+
+// Number of base colors and of all colors a recipe produces
+function countRecipeColors(recipe) {
+    return recipe.tiers.reduce((totals, tier) => ({
+        bases: totals.bases + tier.count,
+        total: totals.total + tier.count * (1 + tier.variations.length)
+    }), { bases: 0, total: 0 });
+}
+
+// Short summary for buttons, e.g. "5+16"
+function describeRecipe(recipe) {
+    const { bases, total } = countRecipeColors(recipe);
+    return `${bases}+${total - bases}`;
+}
+
+// Problem with a recipe as a user-facing message, or null when it is usable
+function validateRecipe(recipe, maxColors) {
+    if (!recipe.name.trim()) return 'Give the recipe a name';
+    if (recipe.tiers.length === 0) return 'Add at least one tier';
+    if (recipe.tiers.some(tier => !(tier.count >= 1))) return 'Every tier needs at least one base color';
+
+    const variations = recipe.tiers.flatMap(tier => tier.variations);
+    if (variations.some(variation => !(variation.op in RECIPE_OPERATIONS) || !isFinite(variation.amount))) {
+        return 'Every variation needs an amount';
+    }
+    if (variations.some(variation => variation.op === 'tone' && !RAMP_STEPS.includes(variation.amount))) {
+        return 'Tonal ramp steps must be one of 50, 100, 200 … 900, 950';
+    }
+    if (recipe.tiers.some(tier => tier.variations.filter(variation => variation.op === 'tone').length >= RAMP_STEPS.length)) {
+        return `A tier can use at most ${RAMP_STEPS.length - 1} tonal ramp steps`;
+    }
+
+    const { total } = countRecipeColors(recipe);
+    if (total > maxColors) return `This recipe makes ${total} colors; the palette holds ${maxColors}`;
+    return null;
+}
+
+// Group name of the n-th base color (0-based) of a tier: primary, secondary-2, tier-4-1, ...
+function getRecipeGroupName(tierIndex, tierCount, n) {
+    const name = RECIPE_TIER_NAMES[tierIndex] || `tier-${tierIndex + 1}`;
+    return tierCount === 1 ? name : `${name}-${n + 1}`;
+}
+
+// Turn extracted base colors (hex, most dominant first) into swatch data:
+// [{ hex, group, variant? }], bases followed by their variations, tier by tier
+function buildRecipePalette(baseHexes, recipe) {
+    const result = [];
+    let next = 0;
+
+    recipe.tiers.forEach((tier, tierIndex) => {
+        for (let n = 0; n < tier.count && next < baseHexes.length; n++) {
+            const hex = baseHexes[next++];
+            const group = getRecipeGroupName(tierIndex, tier.count, n);
+            result.push({ hex, group });
+            createRecipeVariations(hex, tier.variations).forEach(({ variant, hex: variationHex }) => {
+                result.push({ hex: variationHex, group, variant });
+            });
+        }
+    });
+
+    return result;
+}
+
+// Apply a tier's variations to one base color: [{ variant, hex }]
+function createRecipeVariations(hex, variations) {
+    const { r, g, b } = hexToRgb(hex);
+    const hsl = rgbToHsl(r, g, b);
+    const ramp = variations.some(variation => variation.op === 'tone') ? createTonalRamp(hex) : null;
+    const usedSteps = new Set(ramp ? [ramp.find(entry => entry.isBase).step] : []);
+    const usedNames = new Set();
+
+    return variations.map(({ op, amount }) => {
+        let rgb;
+        let variant = op;
+        switch (op) {
+            case 'lighter':
+                rgb = hslToRgb(hsl.h, hsl.s, Math.min(100, hsl.l + amount));
+                break;
+            case 'darker':
+                rgb = hslToRgb(hsl.h, hsl.s, Math.max(0, hsl.l - amount));
+                break;
+            case 'desaturated':
+                rgb = hslToRgb(hsl.h, Math.max(0, hsl.s - amount), hsl.l);
+                break;
+            case 'saturated':
+                rgb = hslToRgb(hsl.h, Math.min(100, hsl.s + amount), hsl.l);
+                break;
+            case 'hue-shift':
+                rgb = hslToRgb(((hsl.h + amount) % 360 + 360) % 360, hsl.s, hsl.l);
+                break;
+            case 'tone': {
+                // A step taken by the base (or an earlier variation) moves to the nearest free one
+                const entry = ramp
+                    .filter(candidate => !usedSteps.has(candidate.step))
+                    .sort((a, b) => Math.abs(a.step - amount) - Math.abs(b.step - amount))[0];
+                usedSteps.add(entry.step);
+                variant = String(entry.step);
+                rgb = hexToRgb(entry.hex);
+                break;
+            }
+            default:
+                throw new Error(`Unknown recipe operation: ${op}`);
+        }
+
+        // Repeated operations (e.g. two "lighter" steps) get numbered variant names
+        let name = variant;
+        for (let n = 2; usedNames.has(name); n++) name = `${variant}-${n}`;
+        usedNames.add(name);
+
+        return { variant: name, hex: rgbToHex(rgb.r, rgb.g, rgb.b) };
+    });
+}
@@ -0,0 +1,168 @@
+// Recolor preview: redraw an image with only the palette colors, matched in OKLab.
+// Floyd–Steinberg spreads each pixel's OKLab error onto its unvisited neighbours; ordered
+// dithering picks, per color, the two palette colors that mix closest to it and alternates
+// between them with a 4×4 Bayer threshold (Yliluoma's pattern approach).
+
+const RECOLOR_DITHERS = {
+    none: { label: 'Nearest color' },
+    'floyd-steinberg': { label: 'Floyd–Steinberg' },
+    ordered: { label: 'Ordered (Bayer 4×4)' }
+};
+
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(v => (v + 0.5) / 16);
+const ORDERED_MIX_PENALTY = 0.02; // Discourages mixing far-apart colors, e.g. black and white for gray
+
+// Recolor RGBA `source` pixels (width × height) into `target` with the palette hex colors.
+// Alpha is copied, and fully transparent pixels pass no error on to their neighbours.
+function recolorPixels(source, target, width, height, hexes, dither) {
+    const palette = hexes.map(hex => {
+        const { r, g, b } = hexToRgb(hex);
+        return { r, g, b, lab: rgbToOklab(r, g, b) };
+    });
+
+    switch (dither) {
+        case 'floyd-steinberg':
+            ditherFloydSteinberg(source, target, width, height, palette);
+            break;
+        case 'ordered':
+            ditherOrdered(source, target, width, height, palette);
+            break;
+        default:
+            mapNearest(source, target, palette);
+    }
+}
+
+// Plain nearest-color mapping, looked up once per distinct color
+function mapNearest(source, target, palette) {
+    const nearestByColor = new Map();
+
+    for (let i = 0; i < source.length; i += 4) {
+        const key = (source[i] << 16) | (source[i + 1] << 8) | source[i + 2];
+        let index = nearestByColor.get(key);
+        if (index === undefined) {
+            const lab = rgbToOklab(source[i], source[i + 1], source[i + 2]);
+            index = findNearestPaletteColor(palette, lab.L, lab.a, lab.b);
+            nearestByColor.set(key, index);
+        }
+        writePaletteColor(target, i, palette[index], source[i + 3]);
+    }
+}
+
+// Floyd–Steinberg error diffusion in OKLab, keeping only two rows of error
+function ditherFloydSteinberg(source, target, width, height, palette) {
+    // One padding slot on each side so neighbours never need bounds checks
+    let current = new Float32Array((width + 2) * 3);
+    let next = new Float32Array((width + 2) * 3);
+
+    for (let y = 0; y < height; y++) {
+        next.fill(0);
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            if (source[offset + 3] === 0) {
+                target[offset + 3] = 0;
+                continue;
+            }
+
+            const lab = linearRgbToOklab(
+                SRGB_TO_LINEAR[source[offset]],
+                SRGB_TO_LINEAR[source[offset + 1]],
+                SRGB_TO_LINEAR[source[offset + 2]]
+            );
+            const e = (x + 1) * 3;
+            const wanted = [lab.L + current[e], lab.a + current[e + 1], lab.b + current[e + 2]];
+            const color = palette[findNearestPaletteColor(palette, wanted[0], wanted[1], wanted[2])];
+            const chosen = [color.lab.L, color.lab.a, color.lab.b];
+
+            for (let c = 0; c < 3; c++) {
+                const error = wanted[c] - chosen[c];
+                current[e + 3 + c] += error * 7 / 16;
+                next[e - 3 + c] += error * 3 / 16;
+                next[e + c] += error * 5 / 16;
+                next[e + 3 + c] += error * 1 / 16;
+            }
+            writePaletteColor(target, offset, color, source[offset + 3]);
+        }
+        [current, next] = [next, current];
+    }
+}
+
+// Ordered dithering between the best-mixing palette pair of each color bucket
+function ditherOrdered(source, target, width, height, palette) {
+    const mixes = new Map(); // Color bucket -> { first, second, ratio }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            const bucket = getColorBucket(source[offset], source[offset + 1], source[offset + 2]);
+            let mix = mixes.get(bucket);
+            if (!mix) {
+                const { r, g, b } = getBucketColor(bucket);
+                const lab = rgbToOklab(r, g, b);
+                mix = findBestMix(palette, lab.L, lab.a, lab.b);
+                mixes.set(bucket, mix);
+            }
+
+            const threshold = BAYER_4X4[(y % 4) * 4 + (x % 4)];
+            const index = threshold < mix.ratio ? mix.second : mix.first;
+            writePaletteColor(target, offset, palette[index], source[offset + 3]);
+        }
+    }
+}
+
+// Index of the palette color closest to an OKLab color
+function findNearestPaletteColor(palette, L, a, b) {
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+        const lab = palette[i].lab;
+        const dL = L - lab.L;
+        const da = a - lab.a;
+        const db = b - lab.b;
+        const distance = dL * dL + da * da + db * db;
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = i;
+        }
+    }
+    return nearest;
+}
+
+// Palette pair whose mix (a share `ratio` of `second`) best matches an OKLab color
+function findBestMix(palette, L, a, b) {
+    let best = { first: 0, second: 0, ratio: 0 };
+    let bestScore = Infinity;
+
+    for (let i = 0; i < palette.length; i++) {
+        const p = palette[i].lab;
+        for (let j = i; j < palette.length; j++) {
+            const q = palette[j].lab;
+            const dL = q.L - p.L;
+            const da = q.a - p.a;
+            const db = q.b - p.b;
+            const spread = dL * dL + da * da + db * db;
+
+            // Project the color onto the segment between the two palette colors
+            const ratio = spread > 0
+                ? Math.max(0, Math.min(1, ((L - p.L) * dL + (a - p.a) * da + (b - p.b) * db) / spread))
+                : 0;
+            const mL = L - (p.L + dL * ratio);
+            const ma = a - (p.a + da * ratio);
+            const mb = b - (p.b + db * ratio);
+            const score = mL * mL + ma * ma + mb * mb + spread * ORDERED_MIX_PENALTY * (Math.abs(ratio - 0.5) + 0.5);
+
+            if (score < bestScore) {
+                bestScore = score;
+                best = { first: i, second: j, ratio };
+            }
+        }
+    }
+    return best;
+}
+
+// Write a palette color with the given alpha at an RGBA offset
+function writePaletteColor(target, offset, color, alpha) {
+    target[offset] = color.r;
+    target[offset + 1] = color.g;
+    target[offset + 2] = color.b;
+    target[offset + 3] = alpha;
+}
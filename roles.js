@@ -0,0 +1,112 @@
+// Semantic roles: which palette color is the primary, the surface, the text, ... of a theme.
+// Brand and status roles are shared by the light and dark theme; each theme has its own neutrals.
+// A swatch lists its roles in `swatch.roles`; every role belongs to at most one swatch.
+
+const PALETTE_ROLES = {
+    primary: { label: 'Primary', section: 'Brand' },
+    secondary: { label: 'Secondary', section: 'Brand' },
+    accent: { label: 'Accent', section: 'Brand' },
+    success: { label: 'Success', section: 'Status' },
+    warning: { label: 'Warning', section: 'Status' },
+    danger: { label: 'Danger', section: 'Status' },
+    background: { label: 'Background', section: 'Light theme' },
+    surface: { label: 'Surface', section: 'Light theme' },
+    text: { label: 'Text', section: 'Light theme' },
+    muted: { label: 'Muted text', section: 'Light theme' },
+    border: { label: 'Border', section: 'Light theme' },
+    'dark-background': { label: 'Background', section: 'Dark theme' },
+    'dark-surface': { label: 'Surface', section: 'Dark theme' },
+    'dark-text': { label: 'Text', section: 'Dark theme' },
+    'dark-muted': { label: 'Muted text', section: 'Dark theme' },
+    'dark-border': { label: 'Border', section: 'Dark theme' }
+};
+
+const ROLE_NEUTRAL_CHROMA = 0.04; // OKLCH chroma below which a color counts as a neutral
+const ROLE_SURFACE_LIGHTNESS = 0.1; // Largest OKLCH lightness step from background to surface
+const ROLE_STATUS_HUES = { danger: 25, warning: 75, success: 145 }; // OKLCH hues of the status roles
+const ROLE_STATUS_HUE_RANGE = 35; // Degrees a status color may be off its hue
+
+// The swatch holding a role, or null
+function getRoleSwatch(swatches, role) {
+    return swatches.find(swatch => swatch.roles && swatch.roles.includes(role)) || null;
+}
+
+// Role keys of a value read from a file or link; unknown roles are dropped
+function readRoles(value) {
+    if (!Array.isArray(value)) return [];
+    return Object.keys(PALETTE_ROLES).filter(role => value.includes(role));
+}
+
+// Suggested { role: swatch } from lightness, chroma, hue and contrast. Neutral roles come from
+// the neutral colors (or every color when there are fewer than two); roles without a fitting
+// color are left out.
+function suggestRoles(swatches) {
+    const roles = {};
+    const colors = swatches.map(swatch => {
+        const { r, g, b } = hexToRgb(swatch.hex);
+        return { swatch, ...rgbToOklch(r, g, b) };
+    });
+    if (colors.length === 0) return roles;
+
+    const neutrals = colors.filter(color => color.C < ROLE_NEUTRAL_CHROMA);
+    const neutralPool = neutrals.length >= 2 ? neutrals : colors;
+    suggestThemeRoles(roles, neutralPool, '', (a, b) => b.L - a.L);
+    suggestThemeRoles(roles, neutralPool, 'dark-', (a, b) => a.L - b.L);
+
+    // Brand: the structured primary, else the most colorful color; then the most distinct hues
+    const chromatic = colors.filter(color => color.C >= ROLE_NEUTRAL_CHROMA).sort((a, b) => b.C - a.C);
+    const primary = chromatic.find(color => color.swatch.group === 'primary' && !color.swatch.variant) || chromatic[0];
+    if (primary) {
+        roles.primary = primary.swatch;
+        const others = chromatic.filter(color => color !== primary);
+        const secondary = others.find(color => getHueDistance(color.h, primary.h) >= 30) || others[0];
+        if (secondary) roles.secondary = secondary.swatch;
+        const accent = others
+            .filter(color => color !== secondary)
+            .sort((a, b) => getHueDistance(b.h, primary.h) - getHueDistance(a.h, primary.h))[0];
+        if (accent) roles.accent = accent.swatch;
+    }
+
+    Object.entries(ROLE_STATUS_HUES).forEach(([role, hue]) => {
+        const candidates = chromatic.filter(color => color.C >= 0.08 && getHueDistance(color.h, hue) <= ROLE_STATUS_HUE_RANGE);
+        candidates.sort((a, b) => getHueDistance(a.h, hue) - getHueDistance(b.h, hue));
+        if (candidates.length > 0) roles[role] = candidates[0].swatch;
+    });
+
+    return roles;
+}
+
+// Background, surface, text, muted and border of one theme; `byBackground` sorts the best
+// background first (lightest for light, darkest for dark)
+function suggestThemeRoles(roles, pool, prefix, byBackground) {
+    const sorted = pool.slice().sort(byBackground);
+    const background = sorted[0];
+    roles[`${prefix}background`] = background.swatch;
+
+    const surface = sorted.find(color => color !== background && Math.abs(color.L - background.L) <= ROLE_SURFACE_LIGHTNESS);
+    roles[`${prefix}surface`] = (surface || background).swatch;
+
+    const contrastTo = color => contrastRatio(color.swatch.hex, background.swatch.hex);
+    const text = pool.reduce((best, color) => (contrastTo(color) > contrastTo(best) ? color : best));
+    if (text === background) return;
+    roles[`${prefix}text`] = text.swatch;
+
+    // Muted text: the softest remaining color that still reads as body text (4.5:1)
+    const rest = pool.filter(color => color !== background && color !== surface && color !== text);
+    const muted = rest
+        .filter(color => contrastTo(color) >= 4.5)
+        .sort((a, b) => contrastTo(a) - contrastTo(b))[0];
+    roles[`${prefix}muted`] = (muted || text).swatch;
+
+    // Border: visible against the background without competing with text
+    const border = rest
+        .filter(color => color !== muted && contrastTo(color) >= 1.2 && contrastTo(color) < 3)
+        .sort((a, b) => Math.abs(contrastTo(a) - 1.6) - Math.abs(contrastTo(b) - 1.6))[0];
+    if (border) roles[`${prefix}border`] = border.swatch;
+}
+
+// Distance between two hues in degrees (0-180)
+function getHueDistance(a, b) {
+    const difference = Math.abs(a - b) % 360;
+    return difference > 180 ? 360 - difference : difference;
+}
@@ -5,11 +5,104 @@ const MIN_CROP_SIZE = 10;
 const ZOOM_DELTA = 0.1;
 const ZOOM_MIN = 0.1;
 const ZOOM_MAX = 10;
-const MAX_UNDO_STACK = 10;
+const MAX_EXTRACTION_PIXELS = 1000000; // Larger images are downscaled before extraction
+const LOCK_MATCH_DELTA_E = 6; // Extracted colors closer than this (ΔE2000) to a locked color are skipped
+const MAX_SAMPLER_RADIUS = 50;
+const LOUPE_SIZE = 150; // Loupe canvas size in CSS pixels
+const LOUPE_OFFSET = 20; // Distance between cursor and loupe
+const LOUPE_MAGNIFICATIONS = [4, 6, 8, 10, 12, 16, 20, 24, 32];
+const LOUPE_GRID_MIN = 6; // Draw pixel grid lines from this magnification up
+const PREFERENCES_KEY = 'colorPalettePicker.preferences';
+const SESSION_SAVE_DELAY = 500; // ms of quiet before the session is autosaved
+const THUMBNAIL_SIZE = 96; // Longest side of library thumbnails
+const DEFAULT_HISTORY_SETTINGS = {
+    limit: 100 // Undo steps kept; 0 keeps everything
+};
+const DEFAULT_EXTRACTION_SETTINGS = {
+    algorithm: 'median-cut', // 'median-cut' or 'kmeans'
+    colorCount: 20,
+    quality: 10 // Sample every Nth pixel
+};
+const DEFAULT_RECIPE_SETTINGS = {
+    selected: 'classic', // Recipe id used by the advanced prefill
+    custom: [] // User recipes (see recipes.js)
+};
+const DEFAULT_SAMPLER_SETTINGS = {
+    size: '3', // '1', '3', '5', '11' or 'custom'
+    radius: 1, // Used when size is 'custom'
+    method: 'mean' // 'mean', 'median' or 'mode'
+};
+const DEFAULT_EXPORT_SETTINGS = {
+    format: 'css',
+    prefixes: { css: 'color', scss: 'color', less: 'color', tailwind: '', tokens: 'color', json: '' } // Code formats only
+};
+const DEFAULT_IMAGE_EXPORT_SETTINGS = {
+    layout: 'grid', // Key of PALETTE_IMAGE_LAYOUTS
+    columns: 7,
+    size: 100, // Swatch width in pixels
+    labels: { hex: true, rgb: false, hsl: false, name: true }, // Keys of PALETTE_IMAGE_LABELS
+    background: 'white', // 'white', 'transparent' or 'custom' (backgroundColor)
+    backgroundColor: '#ffffff',
+    thumbnail: false // Source image with pick markers above the swatches
+};
+const DEFAULT_CONTRAST_SETTINGS = {
+    target: 'aa' // Key of CONTRAST_TARGETS
+};
+const DEFAULT_VISION_SETTINGS = {
+    mode: 'none', // Key of CVD_MODES
+    threshold: 10 // ΔE2000 below which two colors count as indistinguishable
+};
+const EDITOR_CHANNELS = {
+    rgb: [
+        { label: 'R', min: 0, max: 255, step: 1 },
+        { label: 'G', min: 0, max: 255, step: 1 },
+        { label: 'B', min: 0, max: 255, step: 1 }
+    ],
+    hsl: [
+        { label: 'H', min: 0, max: 360, step: 1 },
+        { label: 'S', min: 0, max: 100, step: 1 },
+        { label: 'L', min: 0, max: 100, step: 1 }
+    ],
+    oklch: [
+        { label: 'L', min: 0, max: 1, step: 0.005 },
+        { label: 'C', min: 0, max: 0.37, step: 0.001 },
+        { label: 'H', min: 0, max: 360, step: 1 }
+    ]
+};
+const GRAY_CHROMA = 0.02; // OKLCH chroma below which a color sorts with the grays
+const DEFAULT_PALETTE_SETTINGS = {
+    sort: 'hue' // 'hue', 'lightness', 'luminance', 'chroma', 'pick' or 'manual'
+};
+const DEFAULT_RECOLOR_SETTINGS = {
+    dither: 'none' // Key of RECOLOR_DITHERS
+};
+const MOCKUP_FALLBACKS = { // Mockup colors of roles without a swatch
+    primary: '#8a8a8a', secondary: '#a3a3a3', accent: '#737373',
+    success: '#8a8a8a', warning: '#a3a3a3', danger: '#737373',
+    background: '#ffffff', surface: '#f4f4f5', text: '#18181b', muted: '#71717a', border: '#d4d4d8',
+    'dark-background': '#18181b', 'dark-surface': '#27272a', 'dark-text': '#fafafa',
+    'dark-muted': '#a1a1aa', 'dark-border': '#3f3f46'
+};
+const DEFAULT_DEDUPE_SETTINGS = {
+    threshold: 3, // ΔE2000 up to which two swatches count as duplicates
+    representative: 'medoid', // Key of DEDUPE_REPRESENTATIVES
+    auto: false // Merge right after picks and prefills
+};
+const DEFAULT_COVERAGE_SETTINGS = {
+    scope: 'image', // 'image' or 'crop' (the last crop selection)
+    tolerance: 10 // ΔE2000 up to which a pixel matches the hovered or pinned swatch
+};
+const DEFAULT_LOUPE_SETTINGS = {
+    enabled: true,
+    magnification: 12 // Screen pixels per image pixel
+};
 
 // State
-let colors = [];
+let colors = []; // Swatches: { id, hex, group?, variant?, name?, roles?, source?, locked? } (see createSwatch)
+let nextSwatchId = 1;
 let currentImage = null;
+let currentImageBlob = null; // Source file of currentImage, kept for autosave and the library
+let imagePixels = null; // Cached full-resolution ImageData of currentImage
 let zoom = 1;
 let panX = 0;
 let panY = 0;
@@ -23,7 +116,43 @@ let cropEndX = 0;
 let cropEndY = 0;
 let cropPrefillMode = null; // 'basic' or 'advanced'
 let hasEverHadColors = false; // Track if we've ever had colors
-let undoStack = []; // Stack to store previous color states
+let undoStack = []; // [{ label, state }]: the state before each labeled action
+let redoStack = []; // [{ label, state }]: the state after each undone action, next redo last
+let historySettings = loadPreference('history', DEFAULT_HISTORY_SETTINGS);
+let extractionSettings = loadPreference('extraction', DEFAULT_EXTRACTION_SETTINGS);
+let samplerSettings = loadPreference('sampler', DEFAULT_SAMPLER_SETTINGS);
+let loupeSettings = loadPreference('loupe', DEFAULT_LOUPE_SETTINGS);
+let exportSettings = loadPreference('export', DEFAULT_EXPORT_SETTINGS);
+exportSettings.prefixes = { ...DEFAULT_EXPORT_SETTINGS.prefixes, ...exportSettings.prefixes };
+let imageExportSettings = loadPreference('imageExport', DEFAULT_IMAGE_EXPORT_SETTINGS);
+imageExportSettings.labels = { ...DEFAULT_IMAGE_EXPORT_SETTINGS.labels, ...imageExportSettings.labels };
+let contrastSettings = loadPreference('contrast', DEFAULT_CONTRAST_SETTINGS);
+let dedupeSettings = loadPreference('dedupe', DEFAULT_DEDUPE_SETTINGS);
+let contrastSelection = null; // { text, background } swatches picked in the contrast matrix
+let recipeSettings = loadPreference('recipes', DEFAULT_RECIPE_SETTINGS);
+let recipeDraft = null; // Copy of the recipe being edited in the recipe dialog
+let visionSettings = loadPreference('vision', DEFAULT_VISION_SETTINGS);
+let simulatedImage = null; // Canvas with the displayed image as seen under visionSettings.mode
+let simulatedImageKey = null; // Vision mode and image version simulatedImage was made for
+let paletteSettings = loadPreference('palette', DEFAULT_PALETTE_SETTINGS);
+let draggedSwatch = null; // Swatch being dragged in manual order
+let swatchEdit = null; // { swatch, hex, space, values, inGamut } while the swatch editor is open
+let recolorSettings = loadPreference('recolor', DEFAULT_RECOLOR_SETTINGS);
+let isRecolorView = false; // Show currentImage redrawn with the palette colors
+let recoloredImage = null; // { key, canvas, pixels } of the recolor preview
+let highlightedSwatch = null; // Hovered swatch: its source is outlined and its matches masked
+let coverageSettings = loadPreference('coverage', DEFAULT_COVERAGE_SETTINGS);
+let coverageRegion = null; // Last crop selection on the current image ({ x, y, width, height })
+let coverageHistogram = null; // { key, histogram } for the current coverage region
+let coverageShares = null; // { key, shares } coverage of the current palette
+let matchMask = null; // { key, canvas, share } mask of the hovered or pinned swatch
+let pinnedMaskId = null; // Id of the swatch whose mask stays on without hovering
+let loupePointer = null; // Last hovered canvas coordinates, while the loupe is shown
+let extractionWorker = null;
+let extractionJobId = 0;
+let activeExtraction = null; // { id, reject } of the running extraction
+let sessionSaveTimer = null;
+let isRestoringSession = false;
 
 // DOM Elements
 const canvas = document.getElementById('canvas');
@@ -34,46 +163,277 @@ const prefillBtn = document.getElementById('prefillBtn');
 const prefillCropBtn = document.getElementById('prefillCropBtn');
 const prefillAdvancedBtn = document.getElementById('prefillAdvancedBtn');
 const prefillAdvancedCropBtn = document.getElementById('prefillAdvancedCropBtn');
+const recipeSelect = document.getElementById('recipeSelect');
+const recipeModal = document.getElementById('recipeModal');
+const recipeEditorSelect = document.getElementById('recipeEditorSelect');
+const recipeName = document.getElementById('recipeName');
+const recipeTiers = document.getElementById('recipeTiers');
+const recipeSummary = document.getElementById('recipeSummary');
+const addTierBtn = document.getElementById('addTierBtn');
+const newRecipeBtn = document.getElementById('newRecipeBtn');
+const duplicateRecipeBtn = document.getElementById('duplicateRecipeBtn');
+const deleteRecipeBtn = document.getElementById('deleteRecipeBtn');
+const saveRecipeBtn = document.getElementById('saveRecipeBtn');
 const exportBtn = document.getElementById('exportBtn');
+const exportCodeBtn = document.getElementById('exportCodeBtn');
+const shareBtn = document.getElementById('shareBtn');
+const rolesBtn = document.getElementById('rolesBtn');
+const rolesModal = document.getElementById('rolesModal');
+const rolesList = document.getElementById('rolesList');
+const mockupLight = document.getElementById('mockupLight');
+const mockupDark = document.getElementById('mockupDark');
+const suggestRolesBtn = document.getElementById('suggestRolesBtn');
+const clearRolesBtn = document.getElementById('clearRolesBtn');
+const shareModal = document.getElementById('shareModal');
+const shareUrl = document.getElementById('shareUrl');
+const shareIncludeDetails = document.getElementById('shareIncludeDetails');
+const copyShareBtn = document.getElementById('copyShareBtn');
+const contrastBtn = document.getElementById('contrastBtn');
+const contrastModal = document.getElementById('contrastModal');
+const dedupeBtn = document.getElementById('dedupeBtn');
+const dedupeModal = document.getElementById('dedupeModal');
+const dedupeThreshold = document.getElementById('dedupeThreshold');
+const dedupeRepresentative = document.getElementById('dedupeRepresentative');
+const dedupeAuto = document.getElementById('dedupeAuto');
+const dedupeGroups = document.getElementById('dedupeGroups');
+const dedupeApplyBtn = document.getElementById('dedupeApplyBtn');
+const contrastTarget = document.getElementById('contrastTarget');
+const contrastMatrix = document.getElementById('contrastMatrix');
+const contrastDetail = document.getElementById('contrastDetail');
+const importBtn = document.getElementById('importBtn');
+const paletteFileInput = document.getElementById('paletteFileInput');
+const importModal = document.getElementById('importModal');
+const importText = document.getElementById('importText');
+const importFeedback = document.getElementById('importFeedback');
+const importMode = document.getElementById('importMode');
+const importFileBtn = document.getElementById('importFileBtn');
+const importApplyBtn = document.getElementById('importApplyBtn');
 const exportImageBtn = document.getElementById('exportImageBtn');
+const imageExportModal = document.getElementById('imageExportModal');
+const imageLayout = document.getElementById('imageLayout');
+const imageColumns = document.getElementById('imageColumns');
+const imageSize = document.getElementById('imageSize');
+const imageLabels = document.getElementById('imageLabels');
+const imageBackground = document.getElementById('imageBackground');
+const imageBackgroundColor = document.getElementById('imageBackgroundColor');
+const imageThumbnail = document.getElementById('imageThumbnail');
+const imageExportPreview = document.getElementById('imageExportPreview');
+const downloadPngBtn = document.getElementById('downloadPngBtn');
+const downloadSvgBtn = document.getElementById('downloadSvgBtn');
 const clearBtn = document.getElementById('clearBtn');
 const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const historyBtn = document.getElementById('historyBtn');
+const historyPanel = document.getElementById('historyPanel');
+const historyList = document.getElementById('historyList');
+const closeHistoryBtn = document.getElementById('closeHistoryBtn');
+const historyLimit = document.getElementById('historyLimit');
 const paletteGrid = document.getElementById('paletteGrid');
+const sortMode = document.getElementById('sortMode');
+const editModal = document.getElementById('editModal');
+const editBefore = document.getElementById('editBefore');
+const editAfter = document.getElementById('editAfter');
+const editInput = document.getElementById('editInput');
+const editFeedback = document.getElementById('editFeedback');
+const editSpace = document.getElementById('editSpace');
+const editSliders = document.getElementById('editSliders');
+const editApplyBtn = document.getElementById('editApplyBtn');
+const harmonyModal = document.getElementById('harmonyModal');
+const harmonyBase = document.getElementById('harmonyBase');
+const harmonyHint = document.getElementById('harmonyHint');
+const harmonyList = document.getElementById('harmonyList');
+const harmonyRamp = document.getElementById('harmonyRamp');
+const addRampBtn = document.getElementById('addRampBtn');
+const visionMode = document.getElementById('visionMode');
+const visionWarnings = document.getElementById('visionWarnings');
+const visionThreshold = document.getElementById('visionThreshold');
+const coverageScope = document.getElementById('coverageScope');
+const coverageCropBtn = document.getElementById('coverageCropBtn');
+const coverageTolerance = document.getElementById('coverageTolerance');
+const coverageToleranceValue = document.getElementById('coverageToleranceValue');
+const coverageMatch = document.getElementById('coverageMatch');
 const colorCount = document.getElementById('colorCount');
 const zoomLevel = document.getElementById('zoomLevel');
 const uploadOverlay = document.getElementById('uploadOverlay');
+const libraryBtn = document.getElementById('libraryBtn');
+const libraryPanel = document.getElementById('libraryPanel');
+const libraryList = document.getElementById('libraryList');
+const closeLibraryBtn = document.getElementById('closeLibraryBtn');
+const saveToLibraryBtn = document.getElementById('saveToLibraryBtn');
+const exportLibraryBtn = document.getElementById('exportLibraryBtn');
+const importLibraryBtn = document.getElementById('importLibraryBtn');
+const libraryFileInput = document.getElementById('libraryFileInput');
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsModal = document.getElementById('settingsModal');
+const extractAlgorithm = document.getElementById('extractAlgorithm');
+const extractColorCount = document.getElementById('extractColorCount');
+const extractQuality = document.getElementById('extractQuality');
+const extractQualityValue = document.getElementById('extractQualityValue');
+const loupeBtn = document.getElementById('loupeBtn');
+const recolorBtn = document.getElementById('recolorBtn');
+const recolorBar = document.getElementById('recolorBar');
+const recolorDither = document.getElementById('recolorDither');
+const exportRecolorBtn = document.getElementById('exportRecolorBtn');
+const loupe = document.getElementById('loupe');
+const loupeCanvas = document.getElementById('loupeCanvas');
+const loupeCtx = loupeCanvas.getContext('2d');
+const loupeSwatch = document.getElementById('loupeSwatch');
+const loupeHex = document.getElementById('loupeHex');
+const loupeRgb = document.getElementById('loupeRgb');
+const loupeZoom = document.getElementById('loupeZoom');
+const exportModal = document.getElementById('exportModal');
+const exportFormat = document.getElementById('exportFormat');
+const exportPrefix = document.getElementById('exportPrefix');
+const exportPreview = document.getElementById('exportPreview');
+const copyExportBtn = document.getElementById('copyExportBtn');
+const downloadExportBtn = document.getElementById('downloadExportBtn');
+const samplerSize = document.getElementById('samplerSize');
+const samplerRadius = document.getElementById('samplerRadius');
+const samplerMethod = document.getElementById('samplerMethod');
+const extractProgress = document.getElementById('extractProgress');
+const extractProgressFill = document.getElementById('extractProgressFill');
+const extractProgressLabel = document.getElementById('extractProgressLabel');
+const cancelExtractBtn = document.getElementById('cancelExtractBtn');
 
 // Event Listeners
 uploadBtn.addEventListener('click', () => imageInput.click());
 uploadOverlay.addEventListener('click', () => imageInput.click());
 imageInput.addEventListener('change', handleImageUpload);
+libraryBtn.addEventListener('click', toggleLibrary);
+closeLibraryBtn.addEventListener('click', toggleLibrary);
+saveToLibraryBtn.addEventListener('click', saveToLibrary);
+exportLibraryBtn.addEventListener('click', downloadLibraryBackup);
+importLibraryBtn.addEventListener('click', () => libraryFileInput.click());
+libraryFileInput.addEventListener('change', handleLibraryBackupImport);
+document.addEventListener('visibilitychange', () => {
+    // Flush a pending autosave before the tab is hidden or closed
+    if (document.visibilityState === 'hidden' && sessionSaveTimer) {
+        clearTimeout(sessionSaveTimer);
+        saveSession();
+    }
+});
 canvas.addEventListener('mousedown', handleMouseDown);
 canvas.addEventListener('mousemove', handleMouseMove);
 canvas.addEventListener('mouseup', handleMouseUp);
 canvas.addEventListener('mouseleave', handleMouseUp);
+canvas.addEventListener('mouseleave', hideLoupe);
 canvas.addEventListener('wheel', handleWheel, { passive: false });
 prefillBtn.addEventListener('click', prefillPalette);
 prefillCropBtn.addEventListener('click', () => startCropMode('basic'));
 prefillAdvancedBtn.addEventListener('click', prefillAdvancedPalette);
 prefillAdvancedCropBtn.addEventListener('click', () => startCropMode('advanced'));
+recipeSelect.addEventListener('change', handleRecipeSelect);
+recipeEditorSelect.addEventListener('change', () => editRecipe(recipeEditorSelect.value));
+recipeName.addEventListener('input', () => {
+    recipeDraft.name = recipeName.value;
+    updateRecipeSummary();
+});
+addTierBtn.addEventListener('click', () => {
+    recipeDraft.tiers.push({ count: 1, variations: [] });
+    renderRecipeTiers();
+});
+newRecipeBtn.addEventListener('click', () => createRecipe({ name: 'New recipe', tiers: [{ count: 1, variations: [] }] }));
+duplicateRecipeBtn.addEventListener('click', () => createRecipe({ name: `${recipeDraft.name} copy`, tiers: recipeDraft.tiers }));
+deleteRecipeBtn.addEventListener('click', deleteRecipe);
+saveRecipeBtn.addEventListener('click', saveRecipe);
 exportBtn.addEventListener('click', exportColors);
-exportImageBtn.addEventListener('click', exportPaletteImage);
+exportCodeBtn.addEventListener('click', openExportDialog);
+shareBtn.addEventListener('click', openShareDialog);
+rolesBtn.addEventListener('click', openRolesDialog);
+suggestRolesBtn.addEventListener('click', applySuggestedRoles);
+clearRolesBtn.addEventListener('click', clearRoles);
+shareIncludeDetails.addEventListener('change', updateShareLink);
+copyShareBtn.addEventListener('click', copyShareLink);
+shareUrl.addEventListener('focus', () => shareUrl.select());
+window.addEventListener('hashchange', applySharedPalette);
+contrastBtn.addEventListener('click', openContrastDialog);
+dedupeBtn.addEventListener('click', openDedupeDialog);
+[dedupeThreshold, dedupeRepresentative, dedupeAuto].forEach(input => input.addEventListener('change', updateDedupeSettings));
+dedupeApplyBtn.addEventListener('click', applyDedupe);
+contrastTarget.addEventListener('change', updateContrastTarget);
+importBtn.addEventListener('click', openImportDialog);
+importFileBtn.addEventListener('click', () => paletteFileInput.click());
+paletteFileInput.addEventListener('change', handlePaletteFileImport);
+importText.addEventListener('input', updateImportFeedback);
+importApplyBtn.addEventListener('click', importPastedText);
+paletteGrid.addEventListener('paste', handlePalettePaste);
+visionMode.addEventListener('change', () => setVisionMode(visionMode.value));
+sortMode.addEventListener('change', updateSortMode);
+editInput.addEventListener('input', updateEditorFromText);
+editInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') applySwatchEdit();
+});
+editSpace.addEventListener('change', () => setEditorSpace(editSpace.value));
+editBefore.addEventListener('click', () => setEditorHex(swatchEdit.swatch.hex));
+editApplyBtn.addEventListener('click', applySwatchEdit);
+visionThreshold.addEventListener('change', updateVisionThreshold);
+coverageScope.addEventListener('change', updateCoverageSettings);
+coverageTolerance.addEventListener('input', updateCoverageSettings);
+coverageCropBtn.addEventListener('click', () => startCropMode('coverage'));
+exportImageBtn.addEventListener('click', openImageExportDialog);
+[imageLayout, imageColumns, imageSize, imageBackground, imageBackgroundColor, imageThumbnail].forEach(input => {
+    input.addEventListener('change', updateImageExportSettings);
+});
+imageLabels.addEventListener('change', updateImageExportSettings);
+downloadPngBtn.addEventListener('click', exportPaletteImage);
+downloadSvgBtn.addEventListener('click', exportPaletteSvg);
 clearBtn.addEventListener('click', clearAll);
 undoBtn.addEventListener('click', undo);
+redoBtn.addEventListener('click', redo);
+historyBtn.addEventListener('click', toggleHistory);
+closeHistoryBtn.addEventListener('click', toggleHistory);
+historyLimit.addEventListener('change', updateHistoryLimit);
+settingsBtn.addEventListener('click', openSettings);
+cancelExtractBtn.addEventListener('click', cancelExtractionByUser);
+loupeBtn.addEventListener('click', toggleLoupe);
+recolorBtn.addEventListener('click', () => setRecolorView(!isRecolorView));
+recolorDither.addEventListener('change', updateRecolorDither);
+exportRecolorBtn.addEventListener('click', exportRecoloredImage);
+exportFormat.addEventListener('change', updateExportSettings);
+exportPrefix.addEventListener('input', updateExportSettings);
+copyExportBtn.addEventListener('click', copyExport);
+downloadExportBtn.addEventListener('click', downloadExport);
+[extractAlgorithm, extractColorCount, extractQuality].forEach(input => {
+    input.addEventListener('change', updateExtractionSettings);
+});
+[samplerSize, samplerRadius, samplerMethod].forEach(input => {
+    input.addEventListener('change', updateSamplerSettings);
+});
+extractQuality.addEventListener('input', () => {
+    extractQualityValue.textContent = extractQuality.value;
+});
+document.querySelectorAll('.modal-overlay').forEach(modal => {
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target.closest('[data-close]')) {
+            closeModal(modal);
+        }
+    });
+});
 
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        closeAllModals();
+        cancelExtractionByUser();
+    }
+    // Leave typing shortcuts alone inside form fields
+    if (isTypingTarget(e.target)) return;
+
     if (e.ctrlKey && e.key === 'z') {
         e.preventDefault();
         undo();
     }
+    if (e.ctrlKey && (e.key === 'y' || (e.shiftKey && e.key === 'Z'))) {
+        e.preventDefault();
+        redo();
+    }
     if (e.ctrlKey && e.key === 'c' && colors.length > 0) {
         e.preventDefault();
         exportColors();
     }
     if (e.ctrlKey && e.key === 'e' && colors.length > 0) {
         e.preventDefault();
-        exportPaletteImage();
+        openImageExportDialog();
     }
     if (e.ctrlKey && e.key === 's' && currentImage && !isCropMode) {
         e.preventDefault();
@@ -83,6 +443,23 @@ document.addEventListener('keydown', (e) => {
         e.preventDefault();
         startCropMode('advanced');
     }
+    if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (e.key === 'l' || e.key === 'L') {
+            toggleLoupe();
+        }
+        if ((e.key === 'r' || e.key === 'R') && currentImage && colors.length > 0) {
+            setRecolorView(!isRecolorView);
+        }
+        if (e.key === 'v' || e.key === 'V') {
+            cycleVisionMode(e.shiftKey ? -1 : 1);
+        }
+        if (e.key === '+' || e.key === '=') {
+            changeLoupeMagnification(1);
+        }
+        if (e.key === '-' || e.key === '_') {
+            changeLoupeMagnification(-1);
+        }
+    }
 });
 
 // Image Upload Handler
@@ -97,24 +474,50 @@ function handleImageUpload(e) {
         return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-        const img = new Image();
-        img.onload = () => {
-            currentImage = img;
-            initializeCanvas();
-            uploadOverlay.style.display = 'none';
-            
-            // Show prefill button groups when image is loaded
-            showElements([
-                prefillBtn.parentElement, 
-                prefillAdvancedBtn.parentElement
-            ]);
-            enableButtons([prefillBtn, prefillCropBtn, prefillAdvancedBtn, prefillAdvancedCropBtn]);
+    loadImageBlob(file).then(() => {
+        saveSessionImage(file).catch(error => console.warn('Could not save the image:', error));
+    }).catch(error => {
+        console.error('Image load error:', error);
+        alert('Failed to load the image.');
+    });
+}
+
+// Make a blob the current image. A saved view ({ zoom, panX, panY }) is restored instead of fitting.
+function loadImageBlob(blob, view = null) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const img = new Image();
+            img.onload = () => {
+                currentImage = img;
+                currentImageBlob = blob;
+                cacheImagePixels();
+                initializeCanvas();
+                if (view && view.zoom) {
+                    zoom = view.zoom;
+                    panX = view.panX;
+                    panY = view.panY;
+                    drawImage();
+                    updateZoomDisplay();
+                }
+                uploadOverlay.style.display = 'none';
+                
+                // Show prefill button groups when image is loaded
+                showElements([
+                    prefillBtn.parentElement, 
+                    prefillAdvancedBtn.parentElement,
+                    recolorBtn
+                ]);
+                enableButtons([prefillBtn, prefillCropBtn, prefillAdvancedBtn, prefillAdvancedCropBtn, coverageCropBtn]);
+                renderPalette(false);
+                resolve();
+            };
+            img.onerror = () => reject(new Error('The image could not be decoded'));
+            img.src = event.target.result;
         };
-        img.src = event.target.result;
-    };
-    reader.readAsDataURL(file);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
 }
 
 // Initialize canvas with image
@@ -140,6 +543,7 @@ function initializeCanvas() {
 
     drawImage();
     updateZoomDisplay();
+    scheduleSessionSave();
 }
 
 // Draw image on canvas
@@ -157,9 +561,76 @@ function drawImage() {
     ctx.scale(zoom, zoom);
     
     // Draw image at origin
-    ctx.drawImage(currentImage, 0, 0);
+    ctx.drawImage(getDisplayImage(), 0, 0);
+    drawMatchMask();
     
     ctx.restore();
+
+    drawSourceHighlight();
+}
+
+// Outline where the hovered swatch came from: the sampled square of a pick
+// (ringed so single pixels stay visible) or the region of a prefill
+function drawSourceHighlight() {
+    const rect = getSourceRect(highlightedSwatch);
+    if (!rect) return;
+
+    const x = (rect.x + panX) * zoom;
+    const y = (rect.y + panY) * zoom;
+    const width = rect.width * zoom;
+    const height = rect.height * zoom;
+
+    ctx.save();
+    [['rgba(0, 0, 0, 0.6)', 4], ['#ffffff', 2]].forEach(([color, lineWidth]) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.strokeRect(x, y, width, height);
+        if (highlightedSwatch.source.type === 'pick') {
+            ctx.beginPath();
+            ctx.arc(x + width / 2, y + height / 2, Math.max(width, height) / 2 + 10, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    });
+    ctx.restore();
+}
+
+// Image-space rectangle a swatch was taken from, or null when it has no source
+// on the current image (derived colors, or picked from another image)
+function getSourceRect(swatch) {
+    const source = swatch && swatch.source;
+    if (!source || !currentImage) return null;
+
+    let rect;
+    if (source.type === 'pick') {
+        const radius = (source.size - 1) / 2;
+        rect = { x: source.x - radius, y: source.y - radius, width: source.size, height: source.size };
+    } else {
+        rect = source.region;
+    }
+
+    const insideImage = rect.x + rect.width > 0 && rect.y + rect.height > 0 &&
+        rect.x < currentImage.width && rect.y < currentImage.height;
+    return insideImage ? rect : null;
+}
+
+// Outline a swatch's source and mask its matching pixels (null clears both),
+// panning to the source when it is off-screen
+function highlightSwatchSource(swatch) {
+    highlightedSwatch = swatch;
+    const rect = getSourceRect(swatch);
+    if (rect) {
+        const centerX = rect.x + rect.width / 2;
+        const centerY = rect.y + rect.height / 2;
+        const canvasX = (centerX + panX) * zoom;
+        const canvasY = (centerY + panY) * zoom;
+        if (canvasX < 0 || canvasY < 0 || canvasX > canvas.width || canvasY > canvas.height) {
+            panX = canvas.width / zoom / 2 - centerX;
+            panY = canvas.height / zoom / 2 - centerY;
+            scheduleSessionSave();
+        }
+    }
+    drawImage();
+    updateCoverageReadout();
 }
 
 // Draw crop rectangle overlay
@@ -187,7 +658,7 @@ function drawCropRectangle() {
     ctx.clip();
     ctx.translate(panX * zoom, panY * zoom);
     ctx.scale(zoom, zoom);
-    ctx.drawImage(currentImage, 0, 0);
+    ctx.drawImage(getDisplayImage(), 0, 0);
     ctx.restore();
     
     // Draw border around selection
@@ -229,26 +700,91 @@ function showElements(elements) {
     });
 }
 
-// Helper: Save current state to undo stack
-function saveState() {
-    // Create a deep copy of the current colors array
-    undoStack.push([...colors]);
-    
-    // Keep only the last MAX_UNDO_STACK states
-    if (undoStack.length > MAX_UNDO_STACK) {
-        undoStack.shift();
+// Helper: Snapshot everything the history covers. Swatches are copied whole, so their
+// order, names, groups and any other per-swatch fields are undone along with the colors.
+function captureState() {
+    return { colors: colors.map(swatch => ({ ...swatch })) };
+}
+
+// Helper: Put a captured state back
+function restoreState(state) {
+    colors = state.colors;
+}
+
+// Helper: Save current state to undo stack, labeled with the action about to happen
+function saveState(label) {
+    undoStack.push({ label, state: captureState() });
+    redoStack = [];
+    trimHistory();
+    updateHistoryButtons();
+}
+
+// Helper: Drop the oldest undo steps beyond the configured limit
+function trimHistory() {
+    if (historySettings.limit > 0 && undoStack.length > historySettings.limit) {
+        undoStack.splice(0, undoStack.length - historySettings.limit);
+    }
+}
+
+// Helper: Update undo/redo button state and the history panel
+function updateHistoryButtons() {
+    undoBtn.disabled = undoStack.length === 0;
+    undoBtn.title = undoStack.length > 0
+        ? `Undo: ${undoStack[undoStack.length - 1].label} (Ctrl+Z)`
+        : 'Undo (Ctrl+Z)';
+    redoBtn.disabled = redoStack.length === 0;
+    redoBtn.title = redoStack.length > 0
+        ? `Redo: ${redoStack[redoStack.length - 1].label} (Ctrl+Shift+Z)`
+        : 'Redo (Ctrl+Shift+Z)';
+    if (!historyPanel.classList.contains('hidden')) {
+        renderHistory();
+    }
+}
+
+// Helper: Check whether a keyboard event comes from a form field
+function isTypingTarget(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+// Helper: Load a stored preference, falling back to defaults for missing keys
+function loadPreference(name, defaults) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+        return { ...defaults, ...stored[name] };
+    } catch (error) {
+        return { ...defaults };
     }
-    
-    updateUndoButton();
 }
 
-// Helper: Update undo button state
-function updateUndoButton() {
-    if (undoBtn) {
-        undoBtn.disabled = undoStack.length === 0;
+// Helper: Persist a preference (silently skipped when storage is unavailable)
+function savePreference(name, value) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+        stored[name] = value;
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(stored));
+    } catch (error) {
+        console.warn('Could not save preference:', error);
     }
 }
 
+// Helper: Open a modal dialog
+function openModal(modal) {
+    modal.classList.remove('hidden');
+    const firstInput = modal.querySelector('input, select, textarea, button:not([data-close])');
+    if (firstInput) firstInput.focus();
+}
+
+// Helper: Close a modal dialog
+function closeModal(modal) {
+    modal.classList.add('hidden');
+}
+
+// Helper: Close every open modal dialog
+function closeAllModals() {
+    document.querySelectorAll('.modal-overlay:not(.hidden)').forEach(closeModal);
+}
+
 // Handle canvas click for color picking
 function pickColorAtPoint(e) {
     if (!currentImage || colors.length >= MAX_COLORS) return;
@@ -261,48 +797,193 @@ function pickColorAtPoint(e) {
         return;
     }
 
-    // Save state before modification
-    saveState();
-
-    // Sample 3x3 area and average
+    // Sample the configured area around the click
     const color = sampleArea(Math.floor(imageX), Math.floor(imageY));
+    if (!color) {
+        showNotification('Nothing to sample here: the area is fully transparent');
+        return;
+    }
+
     const hex = rgbToHex(color.r, color.g, color.b);
 
-    colors.push(hex);
+    // Save state before modification
+    saveState(`Picked ${hex.toUpperCase()}`);
+
+    const source = {
+        type: 'pick',
+        x: Math.floor(imageX),
+        y: Math.floor(imageY),
+        size: getSamplerRadius() * 2 + 1,
+        method: samplerSettings.method
+    };
+    colors.push(createSwatch(hex, { source }));
+    autoMergeDuplicates();
     renderPalette();
 }
 
-// Sample 3x3 pixel area and return average color
-function sampleArea(x, y) {
-    // Create a temporary canvas to read the original image data
+// Read the full-resolution pixels of the current image once, for fast sampling
+function cacheImagePixels() {
     const tempCanvas = document.createElement('canvas');
     const tempCtx = tempCanvas.getContext('2d');
     tempCanvas.width = currentImage.width;
     tempCanvas.height = currentImage.height;
     tempCtx.drawImage(currentImage, 0, 0);
+    imagePixels = tempCtx.getImageData(0, 0, currentImage.width, currentImage.height);
+    simulatedImage = null;
+    recoloredImage = null;
+    coverageRegion = null;
+    coverageHistogram = null;
+    coverageShares = null;
+    matchMask = null;
+    renderCoverageControls();
+}
+
+// The image as drawn on the canvas: the original or its recolor preview,
+// seen through the color-vision simulation
+function getDisplayImage() {
+    const recolored = getRecoloredImage();
+    if (visionSettings.mode === 'none' || !imagePixels) return recolored ? recolored.canvas : currentImage;
+
+    const key = `${visionSettings.mode}|${recolored ? recolored.key : 'original'}`;
+    if (!simulatedImage || simulatedImageKey !== key) {
+        if (!simulatedImage) {
+            simulatedImage = document.createElement('canvas');
+            simulatedImage.width = imagePixels.width;
+            simulatedImage.height = imagePixels.height;
+        }
+        const simCtx = simulatedImage.getContext('2d');
+        const simulated = simCtx.createImageData(imagePixels.width, imagePixels.height);
+        simulateCvdPixels((recolored ? recolored.pixels : imagePixels).data, simulated.data, visionSettings.mode);
+        simCtx.putImageData(simulated, 0, 0);
+        simulatedImageKey = key;
+    }
+    return simulatedImage;
+}
+
+// The image redrawn with only the palette colors, while the recolor view is on.
+// Rebuilt only when the palette or dithering changes.
+function getRecoloredImage() {
+    if (!isRecolorView || !imagePixels || colors.length === 0) return null;
+
+    const hexes = colors.map(swatch => swatch.hex);
+    const key = `${recolorSettings.dither}|${hexes.join()}`;
+    if (!recoloredImage || recoloredImage.key !== key) {
+        const { width, height } = imagePixels;
+        const recolorCanvas = recoloredImage ? recoloredImage.canvas : document.createElement('canvas');
+        recolorCanvas.width = width;
+        recolorCanvas.height = height;
+        const recolorCtx = recolorCanvas.getContext('2d');
+        const pixels = recolorCtx.createImageData(width, height);
+        recolorPixels(imagePixels.data, pixels.data, width, height, hexes, recolorSettings.dither);
+        recolorCtx.putImageData(pixels, 0, 0);
+        recoloredImage = { key, canvas: recolorCanvas, pixels };
+    }
+    return recoloredImage;
+}
+
+// Switch between the original image and its recolor preview
+function setRecolorView(enabled) {
+    isRecolorView = enabled && Boolean(currentImage) && colors.length > 0;
+    recolorBtn.classList.toggle('active', isRecolorView);
+    recolorBar.classList.toggle('hidden', !isRecolorView);
+    drawImage();
+}
 
-    let r = 0, g = 0, b = 0, count = 0;
+// Apply and remember the dithering of the recolor preview
+function updateRecolorDither() {
+    recolorSettings.dither = recolorDither.value;
+    savePreference('recolor', recolorSettings);
+    drawImage();
+}
 
-    for (let dy = -1; dy <= 1; dy++) {
-        for (let dx = -1; dx <= 1; dx++) {
-            const px = x + dx;
-            const py = y + dy;
+// Download the recolor preview at full resolution (without the vision simulation)
+function exportRecoloredImage() {
+    const recolored = getRecoloredImage();
+    if (!recolored) return;
 
-            if (px >= 0 && py >= 0 && px < currentImage.width && py < currentImage.height) {
-                const imageData = tempCtx.getImageData(px, py, 1, 1).data;
-                r += imageData[0];
-                g += imageData[1];
-                b += imageData[2];
-                count++;
-            }
+    recolored.canvas.toBlob((blob) => {
+        downloadBlob(blob, 'recolored-image.png');
+        showNotification('Recolored image downloaded!');
+    }, 'image/png');
+}
+
+// Radius of the sampling square around the picked pixel (0 = single pixel)
+function getSamplerRadius() {
+    return samplerSettings.size === 'custom'
+        ? samplerSettings.radius
+        : (parseInt(samplerSettings.size, 10) - 1) / 2;
+}
+
+// Sample the area around a pixel with the configured size and method.
+// Fully transparent pixels are skipped; returns null when nothing is left to sample.
+function sampleArea(x, y) {
+    if (!imagePixels) return null;
+
+    const radius = getSamplerRadius();
+    const { width, height, data } = imagePixels;
+    const samples = [];
+
+    for (let py = Math.max(0, y - radius); py <= Math.min(height - 1, y + radius); py++) {
+        for (let px = Math.max(0, x - radius); px <= Math.min(width - 1, x + radius); px++) {
+            const offset = (py * width + px) * 4;
+            if (data[offset + 3] === 0) continue;
+            samples.push([data[offset], data[offset + 1], data[offset + 2]]);
         }
     }
 
+    if (samples.length === 0) return null;
+
+    switch (samplerSettings.method) {
+        case 'median': return medianColor(samples);
+        case 'mode': return modeColor(samples);
+        default: return meanColor(samples);
+    }
+}
+
+// Average colors in linear light, so mixing bright and dark pixels doesn't skew dark
+function meanColor(samples) {
+    const sum = [0, 0, 0];
+    samples.forEach(sample => {
+        for (let i = 0; i < 3; i++) sum[i] += SRGB_TO_LINEAR[sample[i]];
+    });
+
     return {
-        r: Math.round(r / count),
-        g: Math.round(g / count),
-        b: Math.round(b / count)
+        r: linearToSrgb(sum[0] / samples.length),
+        g: linearToSrgb(sum[1] / samples.length),
+        b: linearToSrgb(sum[2] / samples.length)
+    };
+}
+
+// Per-channel median, which ignores specks and noise
+function medianColor(samples) {
+    const median = (channel) => {
+        const values = samples.map(sample => sample[channel]).sort((a, b) => a - b);
+        const middle = Math.floor(values.length / 2);
+        return values.length % 2
+            ? values[middle]
+            : Math.round((values[middle - 1] + values[middle]) / 2);
     };
+
+    return { r: median(0), g: median(1), b: median(2) };
+}
+
+// Most frequent exact color (the first one found wins ties)
+function modeColor(samples) {
+    const counts = new Map();
+    let best = samples[0];
+    let bestCount = 0;
+
+    samples.forEach(sample => {
+        const key = (sample[0] << 16) | (sample[1] << 8) | sample[2];
+        const count = (counts.get(key) || 0) + 1;
+        counts.set(key, count);
+        if (count > bestCount) {
+            bestCount = count;
+            best = sample;
+        }
+    });
+
+    return { r: best[0], g: best[1], b: best[2] };
 }
 
 // Mouse wheel zoom
@@ -316,6 +997,8 @@ function handleWheel(e) {
 
     drawImage();
     updateZoomDisplay();
+    refreshLoupe();
+    scheduleSessionSave();
 }
 
 // Pan functionality and crop selection
@@ -325,6 +1008,7 @@ function handleMouseDown(e) {
     if (!currentImage || e.button !== 0) return;
     
     const { x: canvasX, y: canvasY } = getCanvasCoords(e);
+    hideLoupe();
     
     if (isCropMode) {
         // Start crop selection
@@ -370,6 +1054,8 @@ function handleMouseMove(e) {
         lastMouseY = e.clientY;
 
         drawImage();
+    } else if (!isCropMode) {
+        updateLoupe(canvasX, canvasY);
     }
 }
 
@@ -388,12 +1074,162 @@ function handleMouseUp(e) {
         // Only pick color if we didn't drag
         if (!hasDragged) {
             pickColorAtPoint(e);
+        } else {
+            scheduleSessionSave();
         }
         
         hasDragged = false;
     }
 }
 
+// Show the loupe for the pixel under the given canvas coordinates
+function updateLoupe(canvasX, canvasY) {
+    loupePointer = { x: canvasX, y: canvasY };
+    if (!loupeSettings.enabled || !imagePixels) return;
+
+    const { x: imageX, y: imageY } = canvasToImageCoords(canvasX, canvasY);
+    const centerX = Math.floor(imageX);
+    const centerY = Math.floor(imageY);
+    if (centerX < 0 || centerY < 0 || centerX >= imagePixels.width || centerY >= imagePixels.height) {
+        loupe.classList.add('hidden');
+        return;
+    }
+
+    drawLoupe(centerX, centerY);
+    updateLoupeReadout(centerX, centerY);
+    positionLoupe(canvasX, canvasY);
+    loupe.classList.remove('hidden');
+}
+
+// Redraw the loupe at the last pointer position (e.g. after zooming)
+function refreshLoupe() {
+    if (loupePointer) updateLoupe(loupePointer.x, loupePointer.y);
+}
+
+// Hide the loupe until the pointer hovers the image again
+function hideLoupe() {
+    loupePointer = null;
+    loupe.classList.add('hidden');
+}
+
+// Draw the magnified pixel grid around an image pixel, with the sampling footprint outlined
+function drawLoupe(centerX, centerY) {
+    const scale = loupeSettings.magnification;
+    const cells = Math.ceil(LOUPE_SIZE / scale) | 1; // Odd, so the center pixel is centered
+    const half = (cells - 1) / 2;
+    const offset = (LOUPE_SIZE - cells * scale) / 2;
+    const { width, height, data } = imagePixels;
+
+    loupeCtx.fillStyle = '#1e1e1e';
+    loupeCtx.fillRect(0, 0, LOUPE_SIZE, LOUPE_SIZE);
+
+    for (let row = 0; row < cells; row++) {
+        for (let col = 0; col < cells; col++) {
+            const px = centerX - half + col;
+            const py = centerY - half + row;
+            if (px < 0 || py < 0 || px >= width || py >= height) continue;
+
+            const i = (py * width + px) * 4;
+            loupeCtx.fillStyle = `rgba(${data[i]}, ${data[i + 1]}, ${data[i + 2]}, ${data[i + 3] / 255})`;
+            loupeCtx.fillRect(offset + col * scale, offset + row * scale, scale, scale);
+        }
+    }
+
+    // Pixel grid
+    if (scale >= LOUPE_GRID_MIN) {
+        loupeCtx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+        loupeCtx.lineWidth = 1;
+        loupeCtx.beginPath();
+        for (let i = 0; i <= cells; i++) {
+            const pos = Math.round(offset + i * scale) + 0.5;
+            loupeCtx.moveTo(pos, 0);
+            loupeCtx.lineTo(pos, LOUPE_SIZE);
+            loupeCtx.moveTo(0, pos);
+            loupeCtx.lineTo(LOUPE_SIZE, pos);
+        }
+        loupeCtx.stroke();
+    }
+
+    // Sampling footprint, drawn dark then light so it shows on any color
+    const radius = getSamplerRadius();
+    const footprintX = offset + (half - radius) * scale;
+    const footprintSize = (radius * 2 + 1) * scale;
+    loupeCtx.lineWidth = 3;
+    loupeCtx.strokeStyle = '#000000';
+    loupeCtx.strokeRect(footprintX, footprintX, footprintSize, footprintSize);
+    loupeCtx.lineWidth = 1;
+    loupeCtx.strokeStyle = '#ffffff';
+    loupeCtx.strokeRect(footprintX, footprintX, footprintSize, footprintSize);
+}
+
+// Show the color a click would pick right now
+function updateLoupeReadout(centerX, centerY) {
+    const color = sampleArea(centerX, centerY);
+    loupeZoom.textContent = `${loupeSettings.magnification}×`;
+
+    if (!color) {
+        loupeSwatch.style.background = 'transparent';
+        loupeHex.textContent = 'Transparent';
+        loupeRgb.textContent = '';
+        return;
+    }
+
+    const hex = rgbToHex(color.r, color.g, color.b);
+    loupeSwatch.style.background = hex;
+    loupeHex.textContent = hex.toUpperCase();
+    loupeRgb.textContent = `${color.r}, ${color.g}, ${color.b}`;
+}
+
+// Keep the loupe next to the cursor, flipping sides near the pane edges
+function positionLoupe(canvasX, canvasY) {
+    const pane = canvas.parentElement;
+    const canvasLeft = canvas.offsetLeft;
+    const canvasTop = canvas.offsetTop;
+    let left = canvasLeft + canvasX + LOUPE_OFFSET;
+    let top = canvasTop + canvasY + LOUPE_OFFSET;
+
+    if (left + loupe.offsetWidth > pane.clientWidth) {
+        left = canvasLeft + canvasX - LOUPE_OFFSET - loupe.offsetWidth;
+    }
+    if (top + loupe.offsetHeight > pane.clientHeight) {
+        top = canvasTop + canvasY - LOUPE_OFFSET - loupe.offsetHeight;
+    }
+
+    loupe.style.left = `${left}px`;
+    loupe.style.top = `${top}px`;
+}
+
+// Turn the loupe on or off
+function toggleLoupe() {
+    loupeSettings.enabled = !loupeSettings.enabled;
+    savePreference('loupe', loupeSettings);
+    updateLoupeButton();
+
+    if (loupeSettings.enabled) {
+        refreshLoupe();
+    } else {
+        loupe.classList.add('hidden');
+    }
+    showNotification(loupeSettings.enabled ? 'Loupe on' : 'Loupe off');
+}
+
+// Step the loupe magnification up or down
+function changeLoupeMagnification(direction) {
+    if (!loupeSettings.enabled) return;
+
+    const current = LOUPE_MAGNIFICATIONS.indexOf(loupeSettings.magnification);
+    const next = Math.max(0, Math.min(LOUPE_MAGNIFICATIONS.length - 1,
+        (current === -1 ? LOUPE_MAGNIFICATIONS.indexOf(DEFAULT_LOUPE_SETTINGS.magnification) : current) + direction));
+    loupeSettings.magnification = LOUPE_MAGNIFICATIONS[next];
+    savePreference('loupe', loupeSettings);
+    refreshLoupe();
+}
+
+// Reflect the loupe state on its toolbar button
+function updateLoupeButton() {
+    loupeBtn.classList.toggle('active', loupeSettings.enabled);
+}
+
 // Update zoom display
 function updateZoomDisplay() {
     zoomLevel.textContent = `${Math.round(zoom * 100)}%`;
@@ -443,20 +1279,116 @@ function rgbToHsl(r, g, b) {
     return { h: h * 360, s: s * 100, l: l * 100 };
 }
 
-// Sort colors by hue
-function sortByHue(colorArray) {
-    return colorArray.slice().sort((a, b) => {
-        const rgbA = hexToRgb(a);
-        const rgbB = hexToRgb(b);
-        const hslA = rgbToHsl(rgbA.r, rgbA.g, rgbA.b);
-        const hslB = rgbToHsl(rgbB.r, rgbB.g, rgbB.b);
-        return hslA.h - hslB.h;
+// Create a palette entry. Advanced prefill colors also carry a structured name:
+// `group` ('primary', 'secondary-2', ...) and `variant` ('lighter', ...; absent for the base color).
+// Colors imported from swatch files keep their `name`.
+function createSwatch(hex, details = {}) {
+    return { id: nextSwatchId++, hex, ...details };
+}
+
+// Name shown for a swatch: its own name, or the nearest dictionary name
+function getSwatchName(swatch) {
+    return swatch.name || findColorName(swatch.hex);
+}
+
+// Copy swatches under fresh ids (for palettes loaded from storage)
+function cloneSwatches(swatches) {
+    return swatches.map(({ id, hex, ...details }) => createSwatch(hex, details));
+}
+
+// Swatches in the order chosen in the sidebar; the sidebar and every export use it
+function getOrderedColors() {
+    return sortSwatches(colors, paletteSettings.sort);
+}
+
+// Sort a copy of swatches by a sort mode (see DEFAULT_PALETTE_SETTINGS). 'manual' keeps
+// the array order; ties keep it too.
+function sortSwatches(swatches, mode) {
+    if (mode === 'manual') return swatches.slice();
+    if (mode === 'pick') return swatches.slice().sort((a, b) => a.id - b.id);
+
+    const keyed = swatches.map(swatch => {
+        const { r, g, b } = hexToRgb(swatch.hex);
+        return { swatch, oklch: rgbToOklch(r, g, b) };
+    });
+    const compare = {
+        // Chromatic colors around the hue circle, then the grays from dark to light
+        hue: (a, b) => {
+            const grayA = a.oklch.C < GRAY_CHROMA;
+            const grayB = b.oklch.C < GRAY_CHROMA;
+            if (grayA !== grayB) return grayA ? 1 : -1;
+            return grayA ? a.oklch.L - b.oklch.L : a.oklch.h - b.oklch.h;
+        },
+        lightness: (a, b) => a.oklch.L - b.oklch.L,
+        luminance: (a, b) => relativeLuminance(a.swatch.hex) - relativeLuminance(b.swatch.hex),
+        chroma: (a, b) => a.oklch.C - b.oklch.C
+    }[mode];
+
+    return keyed.sort(compare).map(entry => entry.swatch);
+}
+
+// Apply and remember the sidebar order. Manual order starts from the order on screen.
+function updateSortMode() {
+    if (sortMode.value === 'manual' && paletteSettings.sort !== 'manual') {
+        colors = sortSwatches(colors, paletteSettings.sort);
+    }
+    paletteSettings.sort = sortMode.value;
+    savePreference('palette', paletteSettings);
+    renderPalette(false);
+}
+
+// Move a swatch to another position of the manual order, as one undoable step
+function moveSwatch(swatch, toIndex) {
+    const fromIndex = colors.indexOf(swatch);
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= colors.length || toIndex === fromIndex) return;
+
+    saveState(`Moved ${swatch.hex.toUpperCase()}`);
+    colors.splice(fromIndex, 1);
+    colors.splice(toIndex, 0, swatch);
+    renderPalette(false);
+}
+
+// Let a color block be dragged, or moved with Alt+arrow keys, in manual order
+function enableBlockReorder(block, swatch, index) {
+    block.draggable = true;
+    block.tabIndex = 0;
+    block.classList.add('reorderable');
+
+    block.addEventListener('dragstart', (e) => {
+        draggedSwatch = swatch;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', swatch.hex);
+        block.classList.add('dragging');
+    });
+    block.addEventListener('dragend', () => {
+        draggedSwatch = null;
+        block.classList.remove('dragging');
+    });
+    block.addEventListener('dragover', (e) => {
+        if (!draggedSwatch || draggedSwatch === swatch) return;
+        e.preventDefault();
+        block.classList.add('drop-target');
+    });
+    block.addEventListener('dragleave', () => block.classList.remove('drop-target'));
+    block.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (draggedSwatch) moveSwatch(draggedSwatch, index);
+    });
+
+    block.addEventListener('keydown', (e) => {
+        if (!e.altKey) return;
+        const step = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[e.key];
+        if (!step || index + step < 0 || index + step >= colors.length) return;
+
+        e.preventDefault();
+        moveSwatch(swatch, index + step);
+        paletteGrid.querySelectorAll('.color-block')[index + step].focus();
     });
 }
 
 // Render palette in sidebar
 function renderPalette(animateNew = true) {
-    const sorted = sortByHue(colors);
+    const sorted = getOrderedColors();
     
     // Store existing colors to detect which are new
     const existingColors = new Set(
@@ -466,60 +1398,157 @@ function renderPalette(animateNew = true) {
     
     paletteGrid.innerHTML = '';
 
+    // Swatches that become indistinguishable under the simulated vision
+    const confusable = new Map();
+    if (visionSettings.mode !== 'none') {
+        findConfusablePairs(colors, visionSettings.mode, visionSettings.threshold).forEach(pair => {
+            confusable.set(pair.a, pair.b);
+            confusable.set(pair.b, pair.a);
+        });
+    }
+
+    const coverage = getPaletteCoverage();
+
     if (sorted.length === 0) {
         paletteGrid.innerHTML = '<div class="palette-empty">No colors selected yet</div>';
     } else {
-        sorted.forEach((hex, index) => {
-            const isNewColor = animateNew && !existingColors.has(hex.toUpperCase());
-            const block = createColorBlock(hex, index, !isNewColor);
+        sorted.forEach((swatch, index) => {
+            const isNewColor = animateNew && !existingColors.has(swatch.hex.toUpperCase());
+            const block = createColorBlock(swatch, index, !isNewColor);
+            if (confusable.has(swatch)) {
+                block.classList.add('cvd-confusable');
+                block.title = `Hard to tell apart from ${confusable.get(swatch).hex.toUpperCase()} with ${CVD_MODES[visionSettings.mode].label.toLowerCase()}`;
+            }
+            if (coverage) {
+                addCoverageControls(block, swatch, coverage.get(swatch));
+            }
+            if (paletteSettings.sort === 'manual') {
+                enableBlockReorder(block, swatch, index);
+            }
             paletteGrid.appendChild(block);
         });
     }
 
+    // A hovered swatch that is gone (removed, undone) no longer masks the image
+    if (highlightedSwatch && !colors.includes(highlightedSwatch)) {
+        highlightedSwatch = null;
+    }
+    drawImage();
+    updateCoverageReadout();
+    renderVisionWarnings();
+
     colorCount.textContent = colors.length;
     
     // Show export/clear/undo buttons on first color addition
     if (colors.length > 0 && !hasEverHadColors) {
         hasEverHadColors = true;
-        showElements([exportBtn, exportImageBtn, clearBtn, undoBtn]);
+        showElements([exportBtn, exportCodeBtn, shareBtn, rolesBtn, contrastBtn, dedupeBtn, exportImageBtn, clearBtn, undoBtn, redoBtn]);
     }
     
     // Enable/disable based on color count
     exportBtn.disabled = colors.length === 0;
+    exportCodeBtn.disabled = colors.length === 0;
+    shareBtn.disabled = colors.length === 0;
+    rolesBtn.disabled = colors.length === 0;
+    contrastBtn.disabled = colors.length === 0;
+    dedupeBtn.disabled = colors.length < 2;
     exportImageBtn.disabled = colors.length === 0;
     clearBtn.disabled = colors.length === 0;
-    updateUndoButton();
+    recolorBtn.disabled = colors.length === 0;
+    if (isRecolorView && colors.length === 0) {
+        setRecolorView(false);
+    }
+    if (!rolesModal.classList.contains('hidden')) {
+        renderRolesPanel();
+    }
+    updateHistoryButtons();
+    scheduleSessionSave();
 }
 
 // Create color block element
-function createColorBlock(hex, index, skipAnimation = false) {
+function createColorBlock(swatchData, index, skipAnimation = false) {
+    const hex = swatchData.hex;
+    const displayHex = simulateCvdHex(hex, visionSettings.mode);
     const block = document.createElement('div');
     block.className = 'color-block';
     if (skipAnimation) {
         block.classList.add('no-animation');
     }
-    block.style.background = hex;
+    block.style.background = displayHex;
 
     const swatch = document.createElement('div');
     swatch.className = 'color-swatch';
-    swatch.style.background = hex;
+    swatch.style.background = displayHex;
 
     const hexLabel = document.createElement('div');
     hexLabel.className = 'color-hex';
     hexLabel.textContent = hex.toUpperCase();
 
+    if (swatchData.roles) {
+        const roleBadge = document.createElement('div');
+        roleBadge.className = 'color-role';
+        roleBadge.textContent = swatchData.roles.map(formatRoleName).join(', ');
+        block.appendChild(roleBadge);
+    }
+
+    const nameLabel = document.createElement('div');
+    nameLabel.className = 'color-name';
+    nameLabel.classList.toggle('auto', !swatchData.name);
+    nameLabel.textContent = getSwatchName(swatchData);
+    nameLabel.title = swatchData.name ? 'Click to rename' : 'Nearest named color. Click to rename';
+    nameLabel.onclick = (e) => {
+        e.stopPropagation();
+        startRenamingSwatch(nameLabel, swatchData);
+    };
+
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'delete-btn';
     deleteBtn.textContent = '✕';
     deleteBtn.onclick = (e) => {
         e.stopPropagation();
-        removeColor(hex, index);
+        removeColor(swatchData, index);
+    };
+
+    const lockBtn = document.createElement('button');
+    lockBtn.className = 'lock-btn';
+    lockBtn.classList.toggle('active', !!swatchData.locked);
+    lockBtn.textContent = swatchData.locked ? '🔒' : '🔓';
+    lockBtn.title = swatchData.locked ? 'Unlock (prefills may replace it)' : 'Lock (keep through prefills and Clear All)';
+    lockBtn.onclick = (e) => {
+        e.stopPropagation();
+        toggleLock(swatchData);
+    };
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'edit-btn';
+    editBtn.textContent = '✎';
+    editBtn.title = 'Edit color';
+    editBtn.onclick = (e) => {
+        e.stopPropagation();
+        openSwatchEditor(swatchData);
+    };
+
+    const harmonyBtn = document.createElement('button');
+    harmonyBtn.className = 'harmony-btn';
+    harmonyBtn.textContent = '◐';
+    harmonyBtn.title = 'Harmonies and tonal ramp';
+    harmonyBtn.onclick = (e) => {
+        e.stopPropagation();
+        openHarmonyDialog(swatchData);
     };
 
     block.appendChild(swatch);
     block.appendChild(hexLabel);
+    block.appendChild(nameLabel);
+    block.appendChild(harmonyBtn);
+    block.appendChild(editBtn);
+    block.appendChild(lockBtn);
     block.appendChild(deleteBtn);
 
+    // Show where the color came from and which pixels match it while hovering
+    block.addEventListener('mouseenter', () => highlightSwatchSource(swatchData));
+    block.addEventListener('mouseleave', () => highlightSwatchSource(null));
+
     // Copy to clipboard on click
     block.addEventListener('click', () => {
         navigator.clipboard.writeText(hex);
@@ -529,12 +1558,79 @@ function createColorBlock(hex, index, skipAnimation = false) {
     return block;
 }
 
+// Swap a block's name label for a text field: Enter or leaving it renames, Esc cancels
+function startRenamingSwatch(label, swatch) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'color-name-input';
+    input.value = getSwatchName(swatch);
+    input.placeholder = findColorName(swatch.hex);
+    input.spellcheck = false;
+    input.onclick = (e) => e.stopPropagation();
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        if (save) {
+            renameSwatch(swatch, input.value);
+        } else {
+            renderPalette(false);
+        }
+    };
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    label.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+// Give a swatch its own name; an empty name goes back to the automatic one
+function renameSwatch(swatch, name) {
+    let newName = name.trim();
+    if (!swatch.name && newName === findColorName(swatch.hex)) newName = '';
+    if (newName === (swatch.name || '')) {
+        renderPalette(false);
+        return;
+    }
+
+    const hex = swatch.hex.toUpperCase();
+    saveState(newName ? `Renamed ${hex} to "${newName}"` : `Reset the name of ${hex}`);
+    if (newName) {
+        swatch.name = newName;
+    } else {
+        delete swatch.name;
+    }
+    renderPalette(false);
+}
+
+// Lock or unlock a swatch
+function toggleLock(swatch) {
+    saveState(`${swatch.locked ? 'Unlocked' : 'Locked'} ${swatch.hex.toUpperCase()}`);
+    if (swatch.locked) {
+        delete swatch.locked;
+    } else {
+        swatch.locked = true;
+    }
+    renderPalette(false);
+}
+
+// Swatches that prefills and Clear All keep
+function getLockedColors() {
+    return colors.filter(swatch => swatch.locked);
+}
+
 // Remove color from palette
-function removeColor(hex, index) {
+function removeColor(swatch, index) {
     // Find the actual index in unsorted array
-    const actualIndex = colors.indexOf(hex);
+    const actualIndex = colors.indexOf(swatch);
     if (actualIndex > -1) {
-        saveState();
+        saveState(`Removed ${swatch.hex.toUpperCase()}`);
         
         // Find the color block element to animate
         const colorBlocks = document.querySelectorAll('.color-block');
@@ -557,15 +1653,43 @@ function removeColor(hex, index) {
     }
 }
 
-// Undo to previous state
+// Undo the last action
 function undo() {
     if (undoStack.length === 0) return;
-    
-    // Restore the last saved state
-    colors = undoStack.pop();
-    updateUndoButton();
+
+    const label = moveHistoryEntry(undoStack, redoStack);
     renderPalette();
-    showNotification('Undo successful');
+    showNotification(`Undid: ${label}`);
+}
+
+// Redo the last undone action
+function redo() {
+    if (redoStack.length === 0) return;
+
+    const label = moveHistoryEntry(redoStack, undoStack);
+    renderPalette();
+    showNotification(`Redid: ${label}`);
+}
+
+// Restore the newest entry of one stack, keeping the current state on the other.
+// Returns the entry's label.
+function moveHistoryEntry(from, to) {
+    const entry = from.pop();
+    to.push({ label: entry.label, state: captureState() });
+    restoreState(entry.state);
+    return entry.label;
+}
+
+// Undo or redo until `position` undo steps are applied (see renderHistory)
+function jumpToHistory(position) {
+    if (position === undoStack.length) return;
+
+    while (undoStack.length > position) moveHistoryEntry(undoStack, redoStack);
+    while (undoStack.length < position) moveHistoryEntry(redoStack, undoStack);
+    renderPalette();
+    showNotification(position === 0
+        ? 'Back to the oldest kept state'
+        : `Back to: ${undoStack[undoStack.length - 1].label}`);
 }
 
 // Start crop mode
@@ -574,7 +1698,13 @@ function startCropMode(mode) {
     cropPrefillMode = mode;
     cropStartX = null;
     canvas.style.cursor = 'crosshair';
-    showNotification('Draw a rectangle to select the area for color extraction');
+    if (mode === 'coverage') {
+        showNotification('Draw a rectangle to measure coverage in');
+    } else {
+        showNotification(mode === 'advanced'
+            ? `Draw a rectangle to prefill with the "${getSelectedRecipe().name}" recipe`
+            : 'Draw a rectangle to select the area for color extraction');
+    }
 }
 
 // Execute prefill on cropped area
@@ -603,111 +1733,270 @@ function executeCropPrefill() {
         return;
     }
     
-    // Create a cropped version of the image
-    const cropCanvas = document.createElement('canvas');
-    const cropCtx = cropCanvas.getContext('2d');
-    cropCanvas.width = cropWidth;
-    cropCanvas.height = cropHeight;
-    
-    cropCtx.drawImage(currentImage, imgX1, imgY1, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
-    
-    // Create temporary image from cropped canvas
-    const croppedImg = new Image();
-    croppedImg.onload = () => {
-        if (cropPrefillMode === 'basic') {
-            prefillPaletteFromImage(croppedImg);
-        } else {
-            prefillAdvancedPaletteFromImage(croppedImg);
-        }
-    };
-    croppedImg.src = cropCanvas.toDataURL();
+    const region = { x: imgX1, y: imgY1, width: cropWidth, height: cropHeight };
+
+    // Every crop selection becomes the region coverage can be measured in
+    coverageRegion = region;
+    if (cropPrefillMode === 'coverage') {
+        coverageSettings.scope = 'crop';
+        savePreference('coverage', coverageSettings);
+    }
+    renderCoverageControls();
+
+    if (cropPrefillMode === 'coverage') {
+        renderPalette(false);
+    } else if (cropPrefillMode === 'basic') {
+        prefillPaletteFromRegion(region);
+    } else {
+        prefillAdvancedPaletteFromRegion(region);
+    }
 }
 
-// Prefill palette using ColorThief
+// Prefill palette with the built-in quantizer
 function prefillPalette() {
-    prefillPaletteFromImage(currentImage);
+    prefillPaletteFromRegion(null);
 }
 
-function prefillPaletteFromImage(image) {
-    if (!image) return;
+// Prefill from a region of the image ({ x, y, width, height }), or the whole image when null
+async function prefillPaletteFromRegion(region) {
+    if (!currentImage) return;
+
+    const locked = getLockedColors();
+    const room = MAX_COLORS - locked.length;
+    if (room === 0) {
+        showNotification(`All ${MAX_COLORS} colors are locked`);
+        return;
+    }
 
     try {
-        saveState();
-        
-        const colorThief = new ColorThief();
-        const palette = colorThief.getPalette(image, 20);
+        const palette = await extractFreshPalette(region, Math.min(extractionSettings.colorCount, room), locked);
 
-        colors = palette.map(rgb => rgbToHex(rgb[0], rgb[1], rgb[2]));
+        saveState(`${region ? 'Crop prefill' : 'Prefill'} (${palette.length} colors)`);
+        const source = createPrefillSource(region);
+        colors = [...locked, ...palette.map(rgb => createSwatch(rgbToHex(rgb.r, rgb.g, rgb.b), { source }))];
+        autoMergeDuplicates();
         renderPalette();
     } catch (error) {
-        console.error('ColorThief error:', error);
-        alert('Failed to extract colors. Make sure the image is loaded correctly.');
+        handleExtractionError(error);
     }
 }
 
 // Advanced prefill: 5 main colors + 3 variations of each (20 total)
 function prefillAdvancedPalette() {
-    prefillAdvancedPaletteFromImage(currentImage);
+    prefillAdvancedPaletteFromRegion(null);
 }
 
-function prefillAdvancedPaletteFromImage(image) {
-    if (!image) return;
+async function prefillAdvancedPaletteFromRegion(region) {
+    if (!currentImage) return;
+
+    const locked = getLockedColors();
+    const room = MAX_COLORS - locked.length;
+    if (room === 0) {
+        showNotification(`All ${MAX_COLORS} colors are locked`);
+        return;
+    }
 
     try {
-        saveState();
-        
-        const colorThief = new ColorThief();
-        const mainPalette = colorThief.getPalette(image, 5);
-        
-        colors = [];
-        
-        // For each of the 5 main colors, create variations
-        mainPalette.forEach((rgb, index) => {
-            const baseHex = rgbToHex(rgb[0], rgb[1], rgb[2]);
-            colors.push(baseHex);
-            
-            if (index === 0) {
-                // Top color gets 4 variations (5 total including base)
-                const variations = createColorVariations(rgb[0], rgb[1], rgb[2], 4);
-                colors.push(...variations);
-            } else {
-                // Next 4 colors get 3 variations each (16 total including bases)
-                const variations = createColorVariations(rgb[0], rgb[1], rgb[2], 3);
-                colors.push(...variations);
-            }
-        });
-        
+        // Bases come out most dominant first, so the first tier gets the strongest colors
+        const recipe = getSelectedRecipe();
+        const mainPalette = await extractFreshPalette(region, countRecipeColors(recipe).bases, locked);
+        const baseHexes = mainPalette.map(rgb => rgbToHex(rgb.r, rgb.g, rgb.b));
+        const recipeColors = buildRecipePalette(baseHexes, recipe);
+        const added = recipeColors.slice(0, room);
+
+        saveState(`${region ? 'Crop prefill' : 'Prefill'} ${describeRecipe(recipe)}`);
+        const source = createPrefillSource(region);
+        colors = [...locked, ...added.map(({ hex, ...details }) => createSwatch(hex, { ...details, source }))];
+        autoMergeDuplicates();
         renderPalette();
+        if (added.length < recipeColors.length) {
+            showNotification(`${recipeColors.length - added.length} recipe colors did not fit next to the locked ones`);
+        }
     } catch (error) {
-        console.error('ColorThief error:', error);
-        alert('Failed to extract colors. Make sure the image is loaded correctly.');
+        handleExtractionError(error);
     }
 }
 
-// Create variations of a color
-function createColorVariations(r, g, b, count = 3) {
-    const hsl = rgbToHsl(r, g, b);
-    const variations = [];
-    
-    // Variation 1: Lighter (increase lightness by 15%)
-    const lighter = hslToRgb(hsl.h, hsl.s, Math.min(100, hsl.l + 15));
-    variations.push(rgbToHex(lighter.r, lighter.g, lighter.b));
-    
-    // Variation 2: Darker (decrease lightness by 15%)
-    const darker = hslToRgb(hsl.h, hsl.s, Math.max(0, hsl.l - 15));
-    variations.push(rgbToHex(darker.r, darker.g, darker.b));
-    
-    // Variation 3: Desaturated (decrease saturation by 30%)
-    const desaturated = hslToRgb(hsl.h, Math.max(0, hsl.s - 30), hsl.l);
-    variations.push(rgbToHex(desaturated.r, desaturated.g, desaturated.b));
-    
-    // Variation 4 (only for count = 4): More saturated (increase saturation by 20%)
-    if (count >= 4) {
-        const saturated = hslToRgb(hsl.h, Math.min(100, hsl.s + 20), hsl.l);
-        variations.push(rgbToHex(saturated.r, saturated.g, saturated.b));
+// Extract colors like extractPalette, leaving out colors near-identical to the locked swatches.
+// Asks for one extra color per locked swatch so skipped colors can be replaced.
+async function extractFreshPalette(region, colorCount, locked) {
+    if (locked.length === 0) return extractPalette(region, colorCount);
+
+    const lockedLabs = locked.map(swatch => {
+        const { r, g, b } = hexToRgb(swatch.hex);
+        return rgbToLab(r, g, b);
+    });
+    const palette = await extractPalette(region, colorCount + locked.length);
+    return palette
+        .filter(rgb => {
+            const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
+            return lockedLabs.every(lockedLab => deltaE2000(lab, lockedLab) >= LOCK_MATCH_DELTA_E);
+        })
+        .slice(0, colorCount);
+}
+
+// Provenance shared by all swatches of one prefill: the extracted region and algorithm
+function createPrefillSource(region) {
+    return {
+        type: 'prefill',
+        region: region || { x: 0, y: 0, width: currentImage.width, height: currentImage.height },
+        algorithm: extractionSettings.algorithm
+    };
+}
+
+// Report a failed extraction (cancellation is not an error)
+function handleExtractionError(error) {
+    if (error.name === 'AbortError') return;
+    console.error('Extraction error:', error);
+    alert('Failed to extract colors. Make sure the image is loaded correctly.');
+}
+
+// Extract dominant colors from a region of the current image with the current settings.
+// Runs in a worker when possible; a newer extraction cancels the running one.
+async function extractPalette(region, colorCount) {
+    cancelExtraction();
+
+    const job = { id: ++extractionJobId };
+    activeExtraction = job;
+    const options = {
+        algorithm: extractionSettings.algorithm,
+        colorCount: Math.min(colorCount, MAX_COLORS),
+        quality: extractionSettings.quality
+    };
+
+    showExtractionProgress(0);
+    try {
+        const source = region || { x: 0, y: 0, width: currentImage.width, height: currentImage.height };
+        const worker = getExtractionWorker();
+        return worker
+            ? await runWorkerExtraction(worker, job, source, options)
+            : quantizePixels(getImagePixels(source).data, options);
+    } finally {
+        if (activeExtraction === job) {
+            activeExtraction = null;
+            hideExtractionProgress();
+        }
     }
-    
-    return variations.slice(0, count);
+}
+
+// Send a region to the extraction worker and wait for its palette
+async function runWorkerExtraction(worker, job, region, options) {
+    const { width, height } = getExtractionSize(region);
+    const message = { id: job.id, width, height, options };
+    let transfer;
+
+    // Let the browser decode and downscale off the main thread when it can
+    if (typeof createImageBitmap === 'function' && typeof OffscreenCanvas === 'function') {
+        message.bitmap = await createImageBitmap(currentImage, region.x, region.y, region.width, region.height, {
+            resizeWidth: width,
+            resizeHeight: height,
+            resizeQuality: 'medium'
+        });
+        transfer = [message.bitmap];
+    } else {
+        message.buffer = getImagePixels(region).data.buffer;
+        transfer = [message.buffer];
+    }
+    if (activeExtraction !== job) {
+        // Cancelled while the bitmap was decoding; it was never transferred, so free it here
+        if (message.bitmap) message.bitmap.close();
+        throw new DOMException('Extraction cancelled', 'AbortError');
+    }
+
+    return new Promise((resolve, reject) => {
+        job.reject = reject;
+        worker.onmessage = (e) => {
+            const { id, type } = e.data;
+            if (id !== job.id) return;
+            if (type === 'progress') {
+                showExtractionProgress(e.data.progress);
+            } else if (type === 'result') {
+                resolve(e.data.palette);
+            } else {
+                reject(new Error(e.data.message));
+            }
+        };
+        worker.onerror = (e) => {
+            e.preventDefault();
+            extractionWorker = null;
+            worker.terminate();
+            // The worker script could not run (e.g. opened from file://); fall back to the page
+            try {
+                resolve(quantizePixels(getImagePixels(region).data, options));
+            } catch (error) {
+                reject(error);
+            }
+        };
+        worker.postMessage(message, transfer);
+    });
+}
+
+// Get (or start) the extraction worker; null when workers are unavailable
+function getExtractionWorker() {
+    if (!extractionWorker && typeof Worker === 'function') {
+        try {
+            extractionWorker = new Worker('extract-worker.js');
+        } catch (error) {
+            console.warn('Extraction worker unavailable, extracting on the main thread:', error);
+        }
+    }
+    return extractionWorker;
+}
+
+// Stop the running extraction, if any
+function cancelExtraction() {
+    if (!activeExtraction) return;
+
+    const job = activeExtraction;
+    activeExtraction = null;
+    hideExtractionProgress();
+
+    // Terminating is the only way to interrupt the worker mid-run
+    if (job.reject && extractionWorker) {
+        extractionWorker.terminate();
+        extractionWorker = null;
+        job.reject(new DOMException('Extraction cancelled', 'AbortError'));
+    }
+}
+
+// Cancel from the toolbar
+function cancelExtractionByUser() {
+    if (!activeExtraction) return;
+    cancelExtraction();
+    showNotification('Extraction cancelled');
+}
+
+// Size to sample a region at, scaled down so large photos stay within MAX_EXTRACTION_PIXELS
+function getExtractionSize(region) {
+    const scale = Math.min(1, Math.sqrt(MAX_EXTRACTION_PIXELS / (region.width * region.height)));
+    return {
+        width: Math.max(1, Math.round(region.width * scale)),
+        height: Math.max(1, Math.round(region.height * scale))
+    };
+}
+
+// Read the RGBA pixels of a region of the current image, downscaled for extraction
+function getImagePixels(region) {
+    const { width, height } = getExtractionSize(region);
+    const tempCanvas = document.createElement('canvas');
+    const tempCtx = tempCanvas.getContext('2d');
+    tempCanvas.width = width;
+    tempCanvas.height = height;
+    tempCtx.drawImage(currentImage, region.x, region.y, region.width, region.height, 0, 0, width, height);
+    return tempCtx.getImageData(0, 0, width, height);
+}
+
+// Show extraction progress in the toolbar
+function showExtractionProgress(progress) {
+    const percent = Math.round(progress * 100);
+    extractProgressFill.style.width = `${percent}%`;
+    extractProgressLabel.textContent = `Extracting… ${percent}%`;
+    extractProgress.classList.remove('hidden');
+}
+
+// Hide the toolbar progress indicator
+function hideExtractionProgress() {
+    extractProgress.classList.add('hidden');
 }
 
 // Convert HSL to RGB
@@ -749,7 +2038,7 @@ function hslToRgb(h, s, l) {
 function exportColors() {
     if (colors.length === 0) return;
 
-    const exported = colors.join(', ');
+    const exported = getOrderedColors().map(swatch => swatch.hex).join(', ');
     navigator.clipboard.writeText(exported).then(() => {
         showNotification('Palette exported to clipboard!');
     }).catch(err => {
@@ -758,134 +2047,2029 @@ function exportColors() {
     });
 }
 
-// Export palette as image
+// Open the palette image dialog with a live preview
+function openImageExportDialog() {
+    if (colors.length === 0) return;
+
+    imageLayout.value = imageExportSettings.layout;
+    imageColumns.value = imageExportSettings.columns;
+    imageSize.value = imageExportSettings.size;
+    imageLabels.querySelectorAll('input').forEach(input => {
+        input.checked = imageExportSettings.labels[input.value];
+    });
+    imageBackground.value = imageExportSettings.background;
+    imageBackgroundColor.value = imageExportSettings.backgroundColor;
+    imageThumbnail.checked = imageExportSettings.thumbnail;
+    imageThumbnail.disabled = !currentImage;
+    updateImageExportFields();
+    renderPaletteImage(imageExportPreview);
+    openModal(imageExportModal);
+}
+
+// Read the dialog's layout, size, label and background options and refresh the preview
+function updateImageExportSettings() {
+    const columns = parseInt(imageColumns.value, 10);
+    const size = parseInt(imageSize.value, 10);
+    const labels = {};
+    imageLabels.querySelectorAll('input').forEach(input => {
+        labels[input.value] = input.checked;
+    });
+
+    imageExportSettings = {
+        layout: imageLayout.value,
+        columns: Math.max(1, Math.min(MAX_COLORS, isNaN(columns) ? DEFAULT_IMAGE_EXPORT_SETTINGS.columns : columns)),
+        size: Math.max(40, Math.min(400, isNaN(size) ? DEFAULT_IMAGE_EXPORT_SETTINGS.size : size)),
+        labels,
+        background: imageBackground.value,
+        backgroundColor: imageBackgroundColor.value,
+        thumbnail: imageThumbnail.checked
+    };
+    imageColumns.value = imageExportSettings.columns;
+    imageSize.value = imageExportSettings.size;
+    savePreference('imageExport', imageExportSettings);
+    updateImageExportFields();
+    renderPaletteImage(imageExportPreview);
+}
+
+// Only offer the fields that apply to the chosen layout and background
+function updateImageExportFields() {
+    imageColumns.disabled = imageExportSettings.layout === 'strip';
+    imageBackgroundColor.disabled = imageExportSettings.background !== 'custom';
+}
+
+// Layout of the palette image with the current settings (see buildPaletteImageLayout)
+function getPaletteImageLayout() {
+    const measureContext = document.createElement('canvas').getContext('2d');
+    const items = getOrderedColors().map(swatch => ({
+        hex: swatch.hex,
+        name: getSwatchName(swatch),
+        group: swatch.group,
+        source: swatch.source
+    }));
+    const { layout, columns, size, labels, background, backgroundColor, thumbnail } = imageExportSettings;
+
+    return buildPaletteImageLayout(items, {
+        layout,
+        columns,
+        size,
+        labels,
+        background: { white: '#ffffff', custom: backgroundColor }[background] || 'transparent',
+        thumbnail: thumbnail && currentImage ? { width: currentImage.width, height: currentImage.height } : null
+    }, (text, font) => {
+        measureContext.font = font;
+        return measureContext.measureText(text).width;
+    });
+}
+
+// Size a canvas to the palette image and draw it
+function renderPaletteImage(target) {
+    const layout = getPaletteImageLayout();
+    target.width = layout.width;
+    target.height = layout.height;
+    drawPaletteImage(target.getContext('2d'), layout, currentImage);
+}
+
+// Download the palette image as PNG
 function exportPaletteImage() {
     if (colors.length === 0) return;
 
-    // Create a canvas for the palette
     const paletteCanvas = document.createElement('canvas');
-    const pCtx = paletteCanvas.getContext('2d');
-    
-    // Configure dimensions (each square is 100x100)
-    const squareSize = 100;
-    const columns = 7; // 7 columns for 21 colors
-    const rows = Math.ceil(colors.length / columns);
-    
-    paletteCanvas.width = columns * squareSize;
-    paletteCanvas.height = rows * squareSize;
-    
-    // Fill with white background
-    pCtx.fillStyle = '#ffffff';
-    pCtx.fillRect(0, 0, paletteCanvas.width, paletteCanvas.height);
-    
-    // Draw each color square
-    colors.forEach((color, index) => {
-        const col = index % columns;
-        const row = Math.floor(index / columns);
-        const x = col * squareSize;
-        const y = row * squareSize;
-        
-        // Draw color square
-        pCtx.fillStyle = color;
-        pCtx.fillRect(x, y, squareSize, squareSize);
-        
-        // Draw border
-        pCtx.strokeStyle = '#333333';
-        pCtx.lineWidth = 2;
-        pCtx.strokeRect(x, y, squareSize, squareSize);
-        
-        // Draw hex label
-        pCtx.fillStyle = getContrastColor(color);
-        pCtx.font = 'bold 12px monospace';
-        pCtx.textAlign = 'center';
-        pCtx.textBaseline = 'middle';
-        pCtx.fillText(color.toUpperCase(), x + squareSize / 2, y + squareSize / 2);
-    });
-    
-    // Download the image
+    renderPaletteImage(paletteCanvas);
     paletteCanvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'color-palette.png';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadBlob(blob, 'color-palette.png');
         showNotification('Palette image downloaded!');
     });
 }
 
-// Get contrasting text color (black or white) for a background color
-function getContrastColor(hexColor) {
-    const rgb = hexToRgb(hexColor);
-    const luminance = (0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b) / 255;
-    return luminance > 0.5 ? '#000000' : '#ffffff';
+// Download the palette image as SVG, with the thumbnail embedded as a PNG
+function exportPaletteSvg() {
+    if (colors.length === 0) return;
+
+    const layout = getPaletteImageLayout();
+    let imageHref = null;
+    if (layout.thumbnail) {
+        const thumbnailCanvas = document.createElement('canvas');
+        thumbnailCanvas.width = layout.thumbnail.width;
+        thumbnailCanvas.height = layout.thumbnail.height;
+        thumbnailCanvas.getContext('2d').drawImage(currentImage, 0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+        imageHref = thumbnailCanvas.toDataURL('image/png');
+    }
+
+    downloadBlob(new Blob([writePaletteSvg(layout, imageHref)], { type: 'image/svg+xml' }), 'color-palette.svg');
+    showNotification('Palette SVG downloaded!');
 }
 
-// Clear all colors
-function clearAll() {
+// Save a blob as a file download
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Open the code export dialog
+function openExportDialog() {
     if (colors.length === 0) return;
 
-    saveState();
-    
-    // Fade out all color blocks
-    const colorBlocks = document.querySelectorAll('.color-block');
-    colorBlocks.forEach((block, index) => {
-        setTimeout(() => {
-            block.style.animation = 'colorBlockFadeOut 0.3s ease forwards';
-        }, index * 30); // Stagger the fade out
+    exportFormat.value = exportSettings.format;
+    updateExportPreview();
+    openModal(exportModal);
+}
+
+// Remember the chosen format and prefix, and refresh the preview
+function updateExportSettings(e) {
+    if (e && e.target === exportFormat) {
+        exportSettings.format = exportFormat.value;
+    } else {
+        exportSettings.prefixes[exportSettings.format] = exportPrefix.value.trim();
+    }
+    savePreference('export', exportSettings);
+    updateExportPreview();
+}
+
+// Render the palette in the chosen format (binary swatch files only get a summary)
+function updateExportPreview() {
+    const format = exportSettings.format;
+    const isSwatchFile = format in SWATCH_FILE_FORMATS;
+    const isBinary = isSwatchFile && SWATCH_FILE_FORMATS[format].binary;
+
+    exportPrefix.disabled = isSwatchFile;
+    exportPrefix.value = isSwatchFile ? '' : exportSettings.prefixes[format];
+    copyExportBtn.disabled = isBinary;
+
+    if (isBinary) {
+        exportPreview.value = `${SWATCH_FILE_FORMATS[format].label}\n\nBinary file with ${colors.length} colors. Use Download to save it.`;
+    } else if (isSwatchFile) {
+        exportPreview.value = writeSwatchFile(format, getSwatchFileEntries());
+    } else {
+        exportPreview.value = formatPalette(format, getOrderedColors(), exportSettings.prefixes[format]);
+    }
+}
+
+// Name swatches for design tool files: own names, structured names, or the automatic name
+function getSwatchFileEntries() {
+    const ordered = getOrderedColors();
+    return getExportEntries(ordered).map((entry, index) => ({
+        name: ordered[index].name || (entry.group ? entry.name : findColorName(entry.hex)),
+        hex: entry.hex
+    }));
+}
+
+// Copy the exported code to the clipboard
+function copyExport() {
+    navigator.clipboard.writeText(exportPreview.value).then(() => {
+        showNotification('Palette code copied to clipboard!');
+    }).catch(err => {
+        console.error('Failed to copy:', err);
+        alert('Failed to copy to clipboard');
     });
-    
-    // Clear colors after animation completes
-    setTimeout(() => {
-        colors = [];
-        renderPalette();
-    }, colorBlocks.length * 30 + 300);
 }
 
-// Show notification with stacking
-let notificationOffset = 0;
-const NOTIFICATION_HEIGHT = 50; // Approximate height including margin
+// Download the exported code or swatch file
+function downloadExport() {
+    const id = exportSettings.format;
+    const format = EXPORT_FORMATS[id] || SWATCH_FILE_FORMATS[id];
+    const content = id in SWATCH_FILE_FORMATS
+        ? writeSwatchFile(id, getSwatchFileEntries())
+        : exportPreview.value;
 
-function showNotification(message) {
-    const notification = document.createElement('div');
-    notification.className = 'notification';
-    notification.textContent = message;
-    
-    // Position this notification below existing ones
-    notification.style.top = `${80 + notificationOffset}px`;
-    notificationOffset += NOTIFICATION_HEIGHT;
-    
-    document.body.appendChild(notification);
+    downloadBlob(new Blob([content], { type: format.mimeType }), format.filename);
+    showNotification(`${format.filename} downloaded!`);
+}
 
-    // When this notification exits, move up remaining notifications
-    setTimeout(() => {
-        notification.classList.add('notification-exit');
-        notificationOffset -= NOTIFICATION_HEIGHT;
-        
-        // Shift all notifications below this one upward
-        const allNotifications = document.querySelectorAll('.notification:not(.notification-exit)');
-        allNotifications.forEach(notif => {
-            const currentTop = parseInt(notif.style.top);
-            if (currentTop > parseInt(notification.style.top)) {
-                notif.style.top = `${currentTop - NOTIFICATION_HEIGHT}px`;
-            }
+// Open the role panel with the light and dark mockups
+function openRolesDialog() {
+    if (colors.length === 0) return;
+
+    renderRolesPanel();
+    openModal(rolesModal);
+}
+
+// One row per role: a palette color picker, its chip and the contrast that matters for it
+function renderRolesPanel() {
+    const ordered = getOrderedColors();
+    rolesList.innerHTML = '';
+
+    let section = null;
+    Object.entries(PALETTE_ROLES).forEach(([role, { label, section: roleSection }]) => {
+        if (roleSection !== section) {
+            section = roleSection;
+            const heading = document.createElement('h4');
+            heading.className = 'roles-section';
+            heading.textContent = section;
+            rolesList.appendChild(heading);
+        }
+
+        const current = getRoleSwatch(colors, role);
+        const row = document.createElement('label');
+        row.className = 'role-row';
+
+        const name = document.createElement('span');
+        name.className = 'role-label';
+        name.textContent = label;
+
+        const chip = document.createElement('span');
+        chip.className = 'harmony-chip role-chip';
+        chip.style.background = current ? current.hex : MOCKUP_FALLBACKS[role];
+        chip.classList.toggle('unassigned', !current);
+
+        const select = document.createElement('select');
+        select.appendChild(new Option('— none —', ''));
+        ordered.forEach(swatch => {
+            select.appendChild(new Option(`${getSwatchName(swatch)} ${swatch.hex.toUpperCase()}`, swatch.id));
         });
-        
-        setTimeout(() => notification.remove(), 300);
-    }, 2000);
+        select.value = current ? current.id : '';
+        select.addEventListener('change', () => {
+            setSwatchRole(role, colors.find(swatch => String(swatch.id) === select.value) || null);
+        });
+
+        const contrast = document.createElement('span');
+        contrast.className = 'role-contrast';
+        const check = current && getRoleContrast(role, current.hex);
+        if (check) {
+            contrast.textContent = `${check.ratio.toFixed(1)}:1`;
+            contrast.title = check.title;
+            contrast.classList.toggle('low', check.ratio < check.minimum);
+        }
+
+        row.appendChild(name);
+        row.appendChild(chip);
+        row.appendChild(select);
+        row.appendChild(contrast);
+        rolesList.appendChild(row);
+    });
+
+    renderMockups();
 }
 
-// Show tooltip on element
-function showTooltip(element, message) {
-    const tooltip = document.createElement('div');
-    tooltip.className = 'tooltip';
-    tooltip.textContent = message;
-    element.style.position = 'relative';
-    element.appendChild(tooltip);
-    setTimeout(() => tooltip.remove(), 1000);
+// Contrast to show next to a role: text-like roles against their theme's background,
+// filled roles against the black or white text drawn on them. Null for backgrounds.
+function getRoleContrast(role, hex) {
+    const prefix = role.startsWith('dark-') ? 'dark-' : '';
+    const base = role.slice(prefix.length);
+    if (base === 'background' || base === 'surface') return null;
+
+    if (base === 'text' || base === 'muted' || base === 'border') {
+        const background = getRoleSwatch(colors, `${prefix}background`);
+        if (!background) return null;
+        return {
+            ratio: contrastRatio(hex, background.hex),
+            minimum: base === 'border' ? 1.2 : 4.5,
+            title: `Against the ${prefix ? 'dark' : 'light'} background ${background.hex.toUpperCase()}`
+        };
+    }
+
+    const onColor = getContrastColor(hex);
+    return {
+        ratio: contrastRatio(hex, onColor),
+        minimum: 4.5,
+        title: `With ${onColor === '#ffffff' ? 'white' : 'black'} text on it`
+    };
+}
+
+// "dark-background" -> "dark background"
+function formatRoleName(role) {
+    return role.replace(/-/g, ' ');
+}
+
+// Give a role to a swatch (or to none), as one undoable step
+function setSwatchRole(role, swatch) {
+    const current = getRoleSwatch(colors, role);
+    if (current === swatch) return;
+
+    saveState(swatch
+        ? `Set ${formatRoleName(role)} to ${swatch.hex.toUpperCase()}`
+        : `Cleared ${formatRoleName(role)}`);
+    if (current) removeSwatchRole(current, role);
+    if (swatch) addSwatchRole(swatch, role);
+    renderPalette(false);
+}
+
+// Role arrays are replaced, never changed in place, since undo states share them
+function addSwatchRole(swatch, role) {
+    swatch.roles = readRoles([...(swatch.roles || []), role]);
+}
+
+// Take a role off a swatch, dropping its role list once it is empty
+function removeSwatchRole(swatch, role) {
+    const roles = swatch.roles.filter(other => other !== role);
+    if (roles.length > 0) {
+        swatch.roles = roles;
+    } else {
+        delete swatch.roles;
+    }
+}
+
+// Replace every role with the suggestions from lightness and contrast
+function applySuggestedRoles() {
+    const suggested = suggestRoles(colors);
+    saveState('Suggested roles');
+    colors.forEach(swatch => delete swatch.roles);
+    Object.entries(suggested).forEach(([role, swatch]) => addSwatchRole(swatch, role));
+    renderPalette(false);
+    showNotification(`Suggested ${Object.keys(suggested).length} of ${Object.keys(PALETTE_ROLES).length} roles`);
+}
+
+// Remove every role assignment, as one undoable step
+function clearRoles() {
+    if (!colors.some(swatch => swatch.roles)) return;
+
+    saveState('Cleared roles');
+    colors.forEach(swatch => delete swatch.roles);
+    renderPalette(false);
+}
+
+// Leave each role on its first swatch only (imports and links may bring a second one)
+function keepOneSwatchPerRole() {
+    const taken = new Set();
+    colors.forEach(swatch => {
+        if (!swatch.roles) return;
+        const roles = swatch.roles.filter(role => !taken.has(role));
+        roles.forEach(role => taken.add(role));
+        if (roles.length > 0) {
+            swatch.roles = roles;
+        } else {
+            delete swatch.roles;
+        }
+    });
+}
+
+// Paint both mockups with the role colors (fallback grays for unassigned roles)
+function renderMockups() {
+    paintMockup(mockupLight, '');
+    paintMockup(mockupDark, 'dark-');
+}
+
+// Color one theme's mockup ('' or 'dark-' roles); unassigned roles use MOCKUP_FALLBACKS
+function paintMockup(mockup, prefix) {
+    const getRoleHex = role => {
+        const swatch = getRoleSwatch(colors, role);
+        return swatch ? swatch.hex : MOCKUP_FALLBACKS[role];
+    };
+
+    ['background', 'surface', 'text', 'muted', 'border'].forEach(role => {
+        mockup.style.setProperty(`--mock-${role}`, getRoleHex(prefix + role));
+    });
+    ['primary', 'secondary', 'accent', 'success', 'warning', 'danger'].forEach(role => {
+        const hex = getRoleHex(role);
+        mockup.style.setProperty(`--mock-${role}`, hex);
+        mockup.style.setProperty(`--mock-on-${role}`, getContrastColor(hex));
+    });
+}
+
+// Open the near-duplicate dialog with a preview of what would be merged
+function openDedupeDialog() {
+    if (colors.length < 2) return;
+
+    dedupeThreshold.value = dedupeSettings.threshold;
+    dedupeRepresentative.value = dedupeSettings.representative;
+    dedupeAuto.checked = dedupeSettings.auto;
+    renderDedupePreview();
+    openModal(dedupeModal);
+}
+
+// Read the dialog's threshold, representative and auto-merge options and refresh the preview
+function updateDedupeSettings() {
+    const threshold = parseFloat(dedupeThreshold.value);
+    dedupeSettings = {
+        threshold: Math.max(0.5, Math.min(20, isNaN(threshold) ? DEFAULT_DEDUPE_SETTINGS.threshold : threshold)),
+        representative: dedupeRepresentative.value,
+        auto: dedupeAuto.checked
+    };
+    dedupeThreshold.value = dedupeSettings.threshold;
+    savePreference('dedupe', dedupeSettings);
+    renderDedupePreview();
+}
+
+// One row per group: its members, then the color they collapse into
+function renderDedupePreview() {
+    const groups = findDuplicateGroups(getOrderedColors(), dedupeSettings.threshold);
+    dedupeGroups.innerHTML = '';
+    dedupeApplyBtn.disabled = groups.length === 0;
+
+    if (groups.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'field-hint';
+        empty.textContent = `No two colors are within ΔE ${dedupeSettings.threshold} of each other.`;
+        dedupeGroups.appendChild(empty);
+        return;
+    }
+
+    groups.forEach(group => {
+        const { hex } = chooseRepresentative(group, dedupeSettings.representative);
+        const row = document.createElement('div');
+        row.className = 'dedupe-group';
+
+        const members = document.createElement('div');
+        members.className = 'harmony-preview';
+        group.forEach(swatch => members.appendChild(createDedupeChip(swatch.hex, swatch.locked ? '🔒' : '')));
+
+        const arrow = document.createElement('span');
+        arrow.className = 'dedupe-arrow';
+        arrow.textContent = '→';
+
+        const result = document.createElement('code');
+        result.className = 'dedupe-result';
+        result.textContent = hex.toUpperCase();
+
+        row.appendChild(members);
+        row.appendChild(arrow);
+        row.appendChild(createDedupeChip(hex, ''));
+        row.appendChild(result);
+        dedupeGroups.appendChild(row);
+    });
+}
+
+// Color chip for the dedupe preview, titled with its hex
+function createDedupeChip(hex, mark) {
+    const chip = document.createElement('span');
+    chip.className = 'harmony-chip dedupe-chip';
+    chip.style.background = hex;
+    chip.style.color = getContrastColor(hex);
+    chip.title = hex.toUpperCase();
+    chip.textContent = mark;
+    return chip;
+}
+
+// Merge the near-duplicates as one undoable step and list what was merged
+function applyDedupe() {
+    const groups = findDuplicateGroups(colors, dedupeSettings.threshold);
+    if (groups.length === 0) return;
+
+    const removed = groups.reduce((sum, group) => sum + group.length - 1, 0);
+    saveState(`Merged ${colors.length} → ${colors.length - removed} colors`);
+    const merges = mergeDuplicates();
+    closeModal(dedupeModal);
+    renderPalette(false);
+    showNotification(`Merged ${describeMerges(merges)}`);
+}
+
+// After a pick or prefill (inside its undo step): merge right away when auto mode is on
+function autoMergeDuplicates() {
+    if (!dedupeSettings.auto) return;
+
+    const merges = mergeDuplicates();
+    if (merges.length > 0) {
+        showNotification(`Auto-merged ${describeMerges(merges)}`);
+    }
+}
+
+// Collapse each duplicate group into its representative, at the place of the group's first
+// member. Returns [{ from: [hex, ...], to: hex }].
+function mergeDuplicates() {
+    const groups = findDuplicateGroups(colors, dedupeSettings.threshold);
+    const replacements = new Map(); // First member -> representative
+    const merged = new Set();
+
+    const merges = groups.map(group => {
+        const { swatch, hex } = chooseRepresentative(group, dedupeSettings.representative);
+        const from = group.map(member => member.hex.toUpperCase());
+        const roles = readRoles(group.flatMap(member => member.roles || []));
+        if (roles.length > 0) swatch.roles = roles;
+        if (hex !== swatch.hex) {
+            // A mean color was never at the representative's spot in the image
+            swatch.hex = hex;
+            delete swatch.source;
+        }
+        group.forEach(member => merged.add(member));
+        replacements.set(group[0], swatch);
+        return { from, to: hex.toUpperCase() };
+    });
+
+    colors = colors.flatMap(swatch => {
+        if (replacements.has(swatch)) return [replacements.get(swatch)];
+        return merged.has(swatch) ? [] : [swatch];
+    });
+    return merges;
+}
+
+// "#A + #B → #A, ..." for notifications
+function describeMerges(merges) {
+    return merges.map(merge => `${merge.from.join(' + ')} → ${merge.to}`).join(', ');
+}
+
+// Open the text × background contrast matrix
+function openContrastDialog() {
+    if (colors.length === 0) return;
+
+    contrastTarget.value = contrastSettings.target;
+    contrastSelection = null;
+    renderContrastMatrix();
+    openModal(contrastModal);
+}
+
+// Grade the matrix against the chosen WCAG or APCA target and remember it
+function updateContrastTarget() {
+    contrastSettings.target = contrastTarget.value;
+    savePreference('contrast', contrastSettings);
+    renderContrastMatrix();
+}
+
+// Rows are text colors, columns are backgrounds, both in sidebar order
+function renderContrastMatrix() {
+    const sorted = getOrderedColors();
+    contrastMatrix.innerHTML = '';
+
+    const headRow = contrastMatrix.createTHead().insertRow();
+    const corner = document.createElement('th');
+    corner.className = 'contrast-corner';
+    corner.textContent = 'Text ↓ / Bg →';
+    headRow.appendChild(corner);
+    sorted.forEach(swatch => headRow.appendChild(createContrastHeader(swatch)));
+
+    const body = contrastMatrix.createTBody();
+    sorted.forEach(text => {
+        const row = body.insertRow();
+        row.appendChild(createContrastHeader(text));
+        sorted.forEach(background => row.appendChild(createContrastCell(text, background)));
+    });
+
+    renderContrastDetail();
+}
+
+// Row or column header: a color chip and the hex code
+function createContrastHeader(swatch) {
+    const header = document.createElement('th');
+    const chip = document.createElement('span');
+    chip.className = 'contrast-chip';
+    chip.style.background = swatch.hex;
+    header.appendChild(chip);
+    header.appendChild(document.createTextNode(swatch.hex.toUpperCase()));
+    return header;
+}
+
+// One pair: a sample, the WCAG ratio with AA/AAA badges and the APCA Lc value
+function createContrastCell(text, background) {
+    const cell = document.createElement('td');
+    cell.className = 'contrast-cell';
+
+    if (text === background) {
+        cell.classList.add('contrast-self');
+        cell.textContent = '—';
+        return cell;
+    }
+
+    const ratio = contrastRatio(text.hex, background.hex);
+    const levels = getWcagLevels(ratio);
+    const lc = apcaContrast(text.hex, background.hex);
+
+    const sample = document.createElement('div');
+    sample.className = 'contrast-sample';
+    sample.style.background = background.hex;
+    sample.style.color = text.hex;
+    sample.textContent = 'Aa';
+
+    const ratioLabel = document.createElement('div');
+    ratioLabel.className = 'contrast-ratio';
+    ratioLabel.textContent = `${ratio.toFixed(2)}:1`;
+
+    const badges = document.createElement('div');
+    badges.className = 'contrast-badges';
+    [
+        ['AA', levels.normal.aa, 'AA normal text (4.5:1)'],
+        ['AAA', levels.normal.aaa, 'AAA normal text (7:1)'],
+        ['AA L', levels.large.aa, 'AA large text (3:1)'],
+        ['AAA L', levels.large.aaa, 'AAA large text (4.5:1)']
+    ].forEach(([label, passed, title]) => {
+        const badge = document.createElement('span');
+        badge.className = passed ? 'contrast-badge pass' : 'contrast-badge';
+        badge.textContent = label;
+        badge.title = `${title}: ${passed ? 'pass' : 'fail'}`;
+        badges.appendChild(badge);
+    });
+
+    const apcaLabel = document.createElement('div');
+    apcaLabel.className = 'contrast-apca';
+    apcaLabel.textContent = `Lc ${lc.toFixed(1)}`;
+
+    cell.appendChild(sample);
+    cell.appendChild(ratioLabel);
+    cell.appendChild(badges);
+    cell.appendChild(apcaLabel);
+
+    if (meetsContrastTarget(text.hex, background.hex, contrastSettings.target)) {
+        cell.classList.add('meets-target');
+    }
+    if (contrastSelection && contrastSelection.text === text && contrastSelection.background === background) {
+        cell.classList.add('selected');
+    }
+    cell.title = 'Click for a variant that meets the target';
+    cell.addEventListener('click', () => {
+        contrastSelection = { text, background };
+        renderContrastMatrix();
+    });
+
+    return cell;
+}
+
+// Explain the selected pair and offer lightness-adjusted fixes for either color
+function renderContrastDetail() {
+    contrastDetail.innerHTML = '';
+    if (!contrastSelection) {
+        contrastDetail.textContent = 'Click a cell to check a pair against the target.';
+        return;
+    }
+
+    const { text, background } = contrastSelection;
+    const target = CONTRAST_TARGETS[contrastSettings.target];
+    const summary = document.createElement('div');
+
+    if (meetsContrastTarget(text.hex, background.hex, contrastSettings.target)) {
+        summary.textContent = `${text.hex.toUpperCase()} on ${background.hex.toUpperCase()} meets ${target.label}.`;
+        contrastDetail.appendChild(summary);
+        return;
+    }
+
+    summary.textContent = `${text.hex.toUpperCase()} on ${background.hex.toUpperCase()} fails ${target.label}. Nearest passing variants:`;
+    contrastDetail.appendChild(summary);
+
+    [
+        ['Text', text, suggestContrastFix(text.hex, background.hex, contrastSettings.target, 'text')],
+        ['Background', background, suggestContrastFix(background.hex, text.hex, contrastSettings.target, 'background')]
+    ].forEach(([label, swatch, fix]) => {
+        const row = document.createElement('div');
+        row.className = 'contrast-fix';
+
+        if (!fix) {
+            row.textContent = `${label}: no lightness of this hue and chroma passes`;
+            contrastDetail.appendChild(row);
+            return;
+        }
+
+        const chip = document.createElement('span');
+        chip.className = 'contrast-chip';
+        chip.style.background = fix.hex;
+
+        const description = document.createElement('span');
+        description.textContent = `${label}: ${swatch.hex.toUpperCase()} → ${fix.hex.toUpperCase()} ` +
+            `(lightness ${fix.deltaL > 0 ? '+' : ''}${(fix.deltaL * 100).toFixed(1)}%)`;
+
+        const replaceBtn = document.createElement('button');
+        replaceBtn.className = 'btn btn-secondary btn-small';
+        replaceBtn.textContent = 'Replace';
+        replaceBtn.onclick = () => applyContrastFix(swatch, fix.hex, 'replace');
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-secondary btn-small';
+        addBtn.textContent = 'Add';
+        addBtn.disabled = colors.length >= MAX_COLORS;
+        addBtn.onclick = () => applyContrastFix(swatch, fix.hex, 'add');
+
+        row.appendChild(chip);
+        row.appendChild(description);
+        row.appendChild(replaceBtn);
+        row.appendChild(addBtn);
+        contrastDetail.appendChild(row);
+    });
+}
+
+// Replace a swatch with its suggested variant, or add the variant as a new color
+function applyContrastFix(swatch, hex, mode) {
+    saveState(mode === 'replace'
+        ? `Replaced ${swatch.hex.toUpperCase()} with ${hex.toUpperCase()}`
+        : `Added ${hex.toUpperCase()}`);
+    if (mode === 'replace') {
+        // The fixed color was never at the swatch's spot in the image
+        swatch.hex = hex;
+        delete swatch.source;
+    } else {
+        colors.push(createSwatch(hex));
+    }
+    renderPalette();
+    renderContrastMatrix();
+    showNotification(mode === 'replace' ? `Replaced with ${hex.toUpperCase()}` : `Added ${hex.toUpperCase()}`);
+}
+
+// Open the share dialog with a link to the current palette
+function openShareDialog() {
+    if (colors.length === 0) return;
+
+    const hasDetails = getShareDetails(colors) !== null;
+    shareIncludeDetails.disabled = !hasDetails;
+    shareIncludeDetails.checked = hasDetails;
+    updateShareLink();
+    openModal(shareModal);
+}
+
+// Rebuild the link, with or without swatch names and roles
+function updateShareLink() {
+    const url = new URL(location.href);
+    url.hash = encodePaletteHash(getOrderedColors(), shareIncludeDetails.checked);
+    shareUrl.value = url.href;
+}
+
+// Copy the link shown in the share dialog
+function copyShareLink() {
+    navigator.clipboard.writeText(shareUrl.value).then(() => {
+        showNotification('Share link copied to clipboard!');
+    }).catch(err => {
+        console.error('Failed to copy:', err);
+        alert('Failed to copy to clipboard');
+    });
+}
+
+// Load a palette from a "#palette=..." link, then clear the hash so a reload keeps later edits
+function applySharedPalette() {
+    if (!isPaletteHash(location.hash)) return;
+
+    try {
+        const shared = decodePaletteHash(location.hash);
+        saveState('Opened shared palette');
+        colors = shared.map(({ hex, ...details }) => createSwatch(hex, details));
+        keepOneSwatchPerRole();
+        renderPalette();
+        showNotification(`Opened shared palette (${colors.length} colors)`);
+    } catch (error) {
+        console.warn('Invalid share link:', error);
+        showNotification(`Could not open the shared palette: ${error.message}`);
+    }
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
+// Open the import dialog (pasted text or swatch files)
+function openImportDialog() {
+    updateImportFeedback();
+    openModal(importModal);
+}
+
+// Show what the pasted text parses to
+function updateImportFeedback() {
+    const { colors: parsed, invalid } = parseColorList(importText.value);
+    importApplyBtn.disabled = parsed.length === 0;
+    importFeedback.innerHTML = '';
+
+    if (!importText.value.trim()) return;
+
+    const found = document.createElement('div');
+    found.textContent = `${parsed.length} color${parsed.length === 1 ? '' : 's'} found`;
+    importFeedback.appendChild(found);
+
+    if (invalid.length > 0) {
+        const errors = document.createElement('div');
+        errors.className = 'import-errors';
+        errors.textContent = `Couldn't parse: ${invalid.join(', ')}`;
+        importFeedback.appendChild(errors);
+    }
+}
+
+// Import the colors typed or pasted into the dialog
+function importPastedText() {
+    const { colors: parsed } = parseColorList(importText.value);
+    if (parsed.length === 0) return;
+
+    if (importColors(parsed.map(hex => ({ hex })), importMode.value, 'pasted text')) {
+        importText.value = '';
+        closeModal(importModal);
+    }
+}
+
+// Ctrl+V while the palette has focus adds the pasted colors
+function handlePalettePaste(e) {
+    const text = e.clipboardData ? e.clipboardData.getData('text') : '';
+    if (!text) return;
+    e.preventDefault();
+
+    const { colors: parsed, invalid } = parseColorList(text);
+    if (parsed.length > 0) {
+        importColors(parsed.map(hex => ({ hex })), 'merge', 'clipboard');
+    }
+    if (invalid.length > 0) {
+        showNotification(`Couldn't parse: ${invalid.slice(0, 5).join(', ')}${invalid.length > 5 ? '…' : ''}`);
+    }
+}
+
+// Load colors from a swatch file (.ase, .gpl, .swatches, .json)
+async function handlePaletteFileImport(e) {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+        const entries = await parseSwatchFile(file);
+        if (entries.length === 0) {
+            showNotification('No colors found in that file');
+            return;
+        }
+
+        if (importColors(entries, importMode.value, file.name)) {
+            closeModal(importModal);
+        }
+    } catch (error) {
+        console.error('Import error:', error);
+        alert(`Failed to import palette: ${error.message}`);
+    }
+}
+
+// Add imported [{ hex, name?, source? }] to the palette ('merge') or replace it ('replace').
+// Returns false when nothing could be added.
+function importColors(entries, mode, source) {
+    const kept = mode === 'replace' ? [] : colors;
+    const added = entries.slice(0, Math.max(0, MAX_COLORS - kept.length));
+    if (added.length === 0) {
+        showNotification(`Palette is full (${MAX_COLORS} colors)`);
+        return false;
+    }
+
+    saveState(`Imported ${added.length} color${added.length === 1 ? '' : 's'}${mode === 'replace' ? ' (replaced)' : ''}`);
+    colors = [...kept, ...added.map(({ hex, name, ...details }) => {
+        // A name that only repeats the hex code leaves room for the automatic name
+        const hasName = name && name.replace(/^#/, '').toLowerCase() !== hex.replace(/^#/, '').toLowerCase();
+        return createSwatch(hex, hasName ? { ...details, name } : details);
+    })];
+    keepOneSwatchPerRole();
+    renderPalette();
+
+    const skipped = entries.length - added.length;
+    showNotification(skipped > 0
+        ? `Imported ${added.length} colors (${skipped} over the ${MAX_COLORS}-color limit skipped)`
+        : `Imported ${added.length} color${added.length === 1 ? '' : 's'} from ${source}`);
+    return true;
+}
+
+// Get contrasting text color (black or white, whichever has the higher WCAG contrast)
+function getContrastColor(hexColor) {
+    return contrastRatio(hexColor, '#000000') >= contrastRatio(hexColor, '#ffffff') ? '#000000' : '#ffffff';
+}
+
+// Show every harmony of a swatch with a preview and an add button
+function openHarmonyDialog(swatch) {
+    const { r, g, b } = hexToRgb(swatch.hex);
+    const isGray = rgbToOklch(r, g, b).C < 0.02;
+
+    harmonyBase.innerHTML = '';
+    const baseChip = document.createElement('span');
+    baseChip.className = 'harmony-chip';
+    baseChip.style.background = swatch.hex;
+    harmonyBase.appendChild(baseChip);
+    harmonyBase.appendChild(document.createTextNode(`Base color ${swatch.hex.toUpperCase()}`));
+    harmonyHint.textContent = isGray
+        ? 'This color is almost gray, so hue-based harmonies stay close to it. Monochromatic still works.'
+        : 'Hues are rotated in OKLCH, keeping the base lightness and chroma.';
+
+    renderHarmonyRamp(swatch);
+
+    harmonyList.innerHTML = '';
+    Object.entries(HARMONY_TYPES).forEach(([type, harmony]) => {
+        const results = createHarmony(swatch.hex, type);
+
+        const row = document.createElement('div');
+        row.className = 'harmony-row';
+
+        const label = document.createElement('span');
+        label.className = 'harmony-label';
+        label.textContent = harmony.label;
+
+        const preview = document.createElement('div');
+        preview.className = 'harmony-preview';
+        [swatch.hex, ...results].forEach((hex, i) => {
+            const chip = document.createElement('span');
+            chip.className = i === 0 ? 'harmony-chip base' : 'harmony-chip';
+            chip.style.background = hex;
+            chip.title = hex.toUpperCase();
+            preview.appendChild(chip);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-secondary btn-small';
+        addBtn.textContent = `+ Add ${results.length}`;
+        addBtn.onclick = () => addHarmony(results, harmony.label);
+
+        row.appendChild(label);
+        row.appendChild(preview);
+        row.appendChild(addBtn);
+        harmonyList.appendChild(row);
+    });
+
+    openModal(harmonyModal);
+}
+
+// Preview the swatch's 50-950 tonal ramp with an add button
+function renderHarmonyRamp(swatch) {
+    const ramp = createTonalRamp(swatch.hex);
+    harmonyRamp.innerHTML = '';
+
+    ramp.forEach(entry => {
+        const step = document.createElement('div');
+        step.className = entry.isBase ? 'ramp-step base' : 'ramp-step';
+        step.style.background = entry.hex;
+        step.style.color = getContrastColor(entry.hex);
+        step.textContent = entry.step;
+        step.title = `${entry.step}: ${entry.hex.toUpperCase()}${entry.isBase ? ' (base)' : ''}`;
+        harmonyRamp.appendChild(step);
+    });
+
+    addRampBtn.onclick = () => addTonalRamp(swatch, ramp);
+}
+
+// Open the editor for one swatch, starting from its current color
+function openSwatchEditor(swatch) {
+    swatchEdit = { swatch, space: editSpace.value };
+    editBefore.style.background = swatch.hex;
+    editBefore.style.color = getContrastColor(swatch.hex);
+    editBefore.textContent = `Before ${swatch.hex.toUpperCase()}`;
+    setEditorHex(swatch.hex);
+    openModal(editModal);
+    editInput.focus();
+    editInput.select();
+}
+
+// Channel values of a hex color in an editor space
+function getEditorChannels(hex, space) {
+    const { r, g, b } = hexToRgb(hex);
+    if (space === 'rgb') return [r, g, b];
+    if (space === 'hsl') {
+        const hsl = rgbToHsl(r, g, b);
+        return [hsl.h, hsl.s, hsl.l];
+    }
+    const oklch = rgbToOklch(r, g, b);
+    return [oklch.L, oklch.C, oklch.h];
+}
+
+// Hex color of channel values; OKLCH colors outside sRGB get their chroma lowered
+function convertEditorChannels(space, values) {
+    if (space === 'rgb') {
+        const [r, g, b] = values.map(value => Math.round(Math.max(0, Math.min(255, value))));
+        return { hex: rgbToHex(r, g, b), inGamut: true };
+    }
+    if (space === 'hsl') {
+        const { r, g, b } = hslToRgb(values[0], values[1], values[2]);
+        return { hex: rgbToHex(r, g, b), inGamut: true };
+    }
+
+    const [L, C, h] = values;
+    const radians = h * Math.PI / 180;
+    const linear = oklabToLinearRgb(L, C * Math.cos(radians), C * Math.sin(radians));
+    const inGamut = [linear.r, linear.g, linear.b].every(v => v >= -0.0001 && v <= 1.0001);
+    const { r, g, b } = oklchToRgbInGamut(L, C, h);
+    return { hex: rgbToHex(r, g, b), inGamut };
+}
+
+// Set the edited color from a hex value, refreshing every control
+function setEditorHex(hex) {
+    swatchEdit.values = getEditorChannels(hex, swatchEdit.space);
+    swatchEdit.hex = hex;
+    swatchEdit.inGamut = true;
+    editInput.value = hex.toUpperCase();
+    renderEditorSliders();
+    updateEditorPreview();
+}
+
+// Set the edited color from channel values of the current space
+function setEditorChannels(values) {
+    const { hex, inGamut } = convertEditorChannels(swatchEdit.space, values);
+    swatchEdit.values = values;
+    swatchEdit.hex = hex;
+    swatchEdit.inGamut = inGamut;
+    editInput.value = hex.toUpperCase();
+    updateEditorPreview();
+}
+
+// Switch the sliders to another color space, keeping the color
+function setEditorSpace(space) {
+    swatchEdit.space = space;
+    editSpace.value = space;
+    setEditorHex(swatchEdit.hex);
+}
+
+// Follow the text field: oklch() keeps its exact (possibly out-of-gamut) values
+function updateEditorFromText() {
+    const oklch = parseOklchColor(editInput.value);
+    if (oklch) {
+        swatchEdit.space = 'oklch';
+        editSpace.value = 'oklch';
+        const { hex, inGamut } = convertEditorChannels('oklch', [oklch.L, oklch.C, oklch.h]);
+        Object.assign(swatchEdit, { values: [oklch.L, oklch.C, oklch.h], hex, inGamut });
+        renderEditorSliders();
+        updateEditorPreview();
+        return;
+    }
+
+    const hex = parseColor(editInput.value);
+    if (!hex) {
+        editFeedback.textContent = 'Not a color. Use hex, rgb(), hsl(), oklch() or a CSS color name.';
+        editFeedback.classList.add('edit-warning');
+        editApplyBtn.disabled = true;
+        return;
+    }
+    swatchEdit.values = getEditorChannels(hex, swatchEdit.space);
+    swatchEdit.hex = hex;
+    swatchEdit.inGamut = true;
+    renderEditorSliders();
+    updateEditorPreview();
+}
+
+// One slider and number field per channel of the current space
+function renderEditorSliders() {
+    editSliders.innerHTML = '';
+    EDITOR_CHANNELS[swatchEdit.space].forEach((channel, index) => {
+        const row = document.createElement('label');
+        row.className = 'edit-slider';
+
+        const label = document.createElement('span');
+        label.textContent = channel.label;
+
+        const range = document.createElement('input');
+        const number = document.createElement('input');
+        range.type = 'range';
+        number.type = 'number';
+        [range, number].forEach(input => {
+            input.min = channel.min;
+            input.max = channel.max;
+            input.step = channel.step;
+            input.value = roundToStep(swatchEdit.values[index], channel.step);
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                if (isNaN(value)) return;
+                (input === range ? number : range).value = input.value;
+                const values = swatchEdit.values.slice();
+                values[index] = Math.max(channel.min, Math.min(channel.max, value));
+                setEditorChannels(values);
+            });
+        });
+
+        row.appendChild(label);
+        row.appendChild(range);
+        row.appendChild(number);
+        editSliders.appendChild(row);
+    });
+}
+
+// Round a slider value to its step, without float noise
+function roundToStep(value, step) {
+    const decimals = String(step).split('.')[1]?.length || 0;
+    return (Math.round(value / step) * step).toFixed(decimals);
+}
+
+// Show the after color, the gamut warning and whether there is anything to apply
+function updateEditorPreview() {
+    const { hex, inGamut, space, values } = swatchEdit;
+    editAfter.style.background = hex;
+    editAfter.style.color = getContrastColor(hex);
+    editAfter.textContent = `After ${hex.toUpperCase()}`;
+
+    if (inGamut) {
+        editFeedback.textContent = space === 'oklch'
+            ? 'Lightness, chroma and hue are perceptual, so changing one keeps the others as seen.'
+            : '';
+        editFeedback.classList.remove('edit-warning');
+    } else {
+        const { r, g, b } = hexToRgb(hex);
+        editFeedback.textContent = `oklch(${values[0].toFixed(3)} ${values[1].toFixed(3)} ${Math.round(values[2])}) is outside sRGB. ` +
+            `It will be applied with chroma lowered to ${rgbToOklch(r, g, b).C.toFixed(3)}.`;
+        editFeedback.classList.add('edit-warning');
+    }
+    editApplyBtn.disabled = hex === swatchEdit.swatch.hex;
+}
+
+// Replace the edited swatch's color in place (keeping its name, group and position), as one undoable step
+function applySwatchEdit() {
+    if (!swatchEdit || editApplyBtn.disabled || !colors.includes(swatchEdit.swatch)) return;
+
+    const { swatch, hex } = swatchEdit;
+    saveState(`Edited ${swatch.hex.toUpperCase()} → ${hex.toUpperCase()}`);
+    if (hex.toLowerCase() !== swatch.hex.toLowerCase()) {
+        // The edited color is no longer the one at the swatch's spot in the image
+        swatch.hex = hex;
+        delete swatch.source;
+    }
+    closeModal(editModal);
+    renderPalette(false);
+    showNotification(`Color changed to ${hex.toUpperCase()}`);
+}
+
+// Add the other ramp steps as variants of the swatch's group, as one undoable step.
+// A swatch without a group starts a new 'ramp' group under its own step number; steps the
+// group already has (from an earlier ramp or a tonal recipe) are skipped.
+function addTonalRamp(swatch, ramp) {
+    const taken = new Set(swatch.group
+        ? colors.filter(other => other.group === swatch.group).map(other => other.variant)
+        : []);
+    const steps = ramp.filter(entry => !entry.isBase && !taken.has(String(entry.step)));
+    const skipped = ramp.length - 1 - steps.length;
+    if (steps.length === 0) {
+        showNotification('Every step of this ramp is already in the palette');
+        return;
+    }
+    const room = MAX_COLORS - colors.length;
+    if (room < steps.length) {
+        showNotification(`The ramp needs ${steps.length} free slots (${Math.max(0, room)} left)`);
+        return;
+    }
+
+    saveState(`Tonal ramp of ${swatch.hex.toUpperCase()}`);
+    let group = swatch.group;
+    if (!group) {
+        const groups = new Set(colors.map(other => other.group));
+        group = 'ramp';
+        for (let n = 2; groups.has(group); n++) group = `ramp-${n}`;
+        swatch.group = group;
+        swatch.variant = String(ramp.find(entry => entry.isBase).step);
+    }
+    colors.push(...steps.map(entry => createSwatch(entry.hex, { group, variant: String(entry.step) })));
+    renderPalette();
+    closeModal(harmonyModal);
+    showNotification(skipped > 0
+        ? `Added ${steps.length} ramp steps (${skipped} already in the palette)`
+        : `Added a ${steps.length}-step tonal ramp`);
+}
+
+// Add harmony colors not already in the palette, as one undoable step
+function addHarmony(results, label) {
+    const existing = new Set(colors.map(swatch => swatch.hex));
+    const fresh = [...new Set(results)].filter(hex => !existing.has(hex));
+    if (fresh.length === 0) {
+        showNotification('These colors are already in the palette');
+        return;
+    }
+
+    const added = fresh.slice(0, MAX_COLORS - colors.length);
+    if (added.length === 0) {
+        showNotification(`Palette is full (${MAX_COLORS} colors)`);
+        return;
+    }
+
+    saveState(`Added ${label.toLowerCase()} colors`);
+    colors.push(...added.map(hex => createSwatch(hex)));
+    renderPalette();
+    closeModal(harmonyModal);
+
+    const skipped = fresh.length - added.length;
+    showNotification(skipped > 0
+        ? `Added ${added.length} ${label.toLowerCase()} colors (${skipped} over the limit skipped)`
+        : `Added ${added.length} ${label.toLowerCase()} color${added.length === 1 ? '' : 's'}`);
+}
+
+// All recipes, built-in first
+function getRecipes() {
+    return [...BUILTIN_RECIPES, ...recipeSettings.custom];
+}
+
+// The recipe the 🎨 button prefills with
+function getSelectedRecipe() {
+    return getRecipes().find(recipe => recipe.id === recipeSettings.selected) || BUILTIN_RECIPES[0];
+}
+
+// Fill the recipe picker next to the 🎨 button and label the button with the recipe's shape
+function renderRecipeSelect() {
+    const selected = getSelectedRecipe();
+    recipeSelect.innerHTML = '';
+    getRecipes().forEach(recipe => {
+        recipeSelect.appendChild(new Option(`${recipe.name} (${describeRecipe(recipe)})`, recipe.id));
+    });
+    recipeSelect.appendChild(new Option('Manage recipes…', '__manage'));
+    recipeSelect.value = selected.id;
+
+    prefillAdvancedBtn.textContent = `🎨 Prefill (${describeRecipe(selected)})`;
+    prefillAdvancedBtn.title = `Prefill with the "${selected.name}" recipe`;
+}
+
+// Select a recipe from the picker, or open the recipe manager
+function handleRecipeSelect() {
+    if (recipeSelect.value === '__manage') {
+        recipeSelect.value = getSelectedRecipe().id;
+        openRecipeEditor();
+        return;
+    }
+    recipeSettings.selected = recipeSelect.value;
+    savePreference('recipes', recipeSettings);
+    renderRecipeSelect();
+}
+
+// Open the recipe manager on the selected recipe
+function openRecipeEditor() {
+    editRecipe(getSelectedRecipe().id);
+    openModal(recipeModal);
+}
+
+// Load a recipe into the editor (built-in recipes are read-only)
+function editRecipe(id) {
+    const recipe = getRecipes().find(candidate => candidate.id === id) || BUILTIN_RECIPES[0];
+    loadRecipeDraft(JSON.parse(JSON.stringify(recipe)));
+}
+
+// Show a draft in the editor; a draft that isn't stored yet is listed as unsaved
+function loadRecipeDraft(recipe) {
+    recipeDraft = recipe;
+
+    const recipes = getRecipes();
+    recipeEditorSelect.innerHTML = '';
+    recipes.forEach(candidate => {
+        recipeEditorSelect.appendChild(new Option(candidate.builtin ? `${candidate.name} (built-in)` : candidate.name, candidate.id));
+    });
+    if (!recipes.some(candidate => candidate.id === recipe.id)) {
+        recipeEditorSelect.appendChild(new Option(`${recipe.name} (unsaved)`, recipe.id));
+    }
+    recipeEditorSelect.value = recipe.id;
+    recipeName.value = recipe.name;
+    recipeName.disabled = !!recipe.builtin;
+    addTierBtn.disabled = !!recipe.builtin;
+    deleteRecipeBtn.disabled = !!recipe.builtin;
+    renderRecipeTiers();
+}
+
+// Draw the tiers of the draft recipe with their variations
+function renderRecipeTiers() {
+    const readOnly = !!recipeDraft.builtin;
+    recipeTiers.innerHTML = '';
+
+    recipeDraft.tiers.forEach((tier, tierIndex) => {
+        const tierEl = document.createElement('div');
+        tierEl.className = 'recipe-tier';
+
+        const header = document.createElement('div');
+        header.className = 'recipe-tier-header';
+
+        const title = document.createElement('span');
+        title.className = 'recipe-tier-title';
+        title.textContent = `Tier ${tierIndex + 1}: ${getRecipeGroupName(tierIndex, 1, 0)}`;
+
+        const countLabel = document.createElement('label');
+        countLabel.textContent = 'Base colors ';
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = 1;
+        countInput.max = MAX_COLORS;
+        countInput.value = tier.count;
+        countInput.disabled = readOnly;
+        countInput.addEventListener('input', () => {
+            tier.count = parseInt(countInput.value, 10);
+            updateRecipeSummary();
+        });
+        countLabel.appendChild(countInput);
+
+        header.appendChild(title);
+        header.appendChild(countLabel);
+        if (!readOnly) {
+            header.appendChild(createRecipeRemoveButton('Remove tier', () => recipeDraft.tiers.splice(tierIndex, 1)));
+        }
+        tierEl.appendChild(header);
+
+        tier.variations.forEach((variation, variationIndex) => {
+            tierEl.appendChild(createRecipeVariationRow(tier, variation, variationIndex, readOnly));
+        });
+        if (tier.variations.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'field-hint';
+            empty.textContent = 'Base colors only, no variations';
+            tierEl.appendChild(empty);
+        }
+
+        if (!readOnly) {
+            const addBtn = document.createElement('button');
+            addBtn.className = 'btn btn-secondary btn-small';
+            addBtn.textContent = '+ Variation';
+            addBtn.onclick = () => {
+                tier.variations.push({ op: 'lighter', amount: RECIPE_OPERATIONS.lighter.defaultAmount });
+                renderRecipeTiers();
+            };
+            tierEl.appendChild(addBtn);
+        }
+
+        recipeTiers.appendChild(tierEl);
+    });
+
+    updateRecipeSummary();
+}
+
+// One variation: operation, amount and unit
+function createRecipeVariationRow(tier, variation, index, readOnly) {
+    const row = document.createElement('div');
+    row.className = 'recipe-variation';
+
+    const opSelect = document.createElement('select');
+    Object.entries(RECIPE_OPERATIONS).forEach(([op, operation]) => {
+        opSelect.appendChild(new Option(operation.label, op));
+    });
+    opSelect.value = variation.op;
+    opSelect.disabled = readOnly;
+
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.value = variation.amount;
+    amountInput.disabled = readOnly;
+
+    const unit = document.createElement('span');
+    unit.className = 'recipe-unit';
+    unit.textContent = RECIPE_OPERATIONS[variation.op].unit;
+
+    opSelect.addEventListener('change', () => {
+        variation.op = opSelect.value;
+        variation.amount = RECIPE_OPERATIONS[variation.op].defaultAmount;
+        renderRecipeTiers();
+    });
+    amountInput.addEventListener('input', () => {
+        variation.amount = parseFloat(amountInput.value);
+        updateRecipeSummary();
+    });
+
+    row.appendChild(opSelect);
+    row.appendChild(amountInput);
+    row.appendChild(unit);
+    if (!readOnly) {
+        row.appendChild(createRecipeRemoveButton('Remove variation', () => tier.variations.splice(index, 1)));
+    }
+    return row;
+}
+
+// ✕ button that removes a tier or variation from the draft and redraws the tiers
+function createRecipeRemoveButton(title, remove) {
+    const button = document.createElement('button');
+    button.className = 'recipe-remove';
+    button.textContent = '✕';
+    button.title = title;
+    button.onclick = () => {
+        remove();
+        renderRecipeTiers();
+    };
+    return button;
+}
+
+// Show what the draft produces, or why it can't be saved
+function updateRecipeSummary() {
+    const error = validateRecipe(recipeDraft, MAX_COLORS);
+    const { bases, total } = countRecipeColors(recipeDraft);
+
+    recipeSummary.classList.toggle('import-errors', !!error);
+    recipeSummary.textContent = error || (recipeDraft.builtin
+        ? `${bases} base colors, ${total} colors in total. Built-in recipes can't be changed; duplicate one to customize it.`
+        : `${bases} base colors, ${total} colors in total.`);
+    saveRecipeBtn.disabled = !!error || !!recipeDraft.builtin;
+}
+
+// Open a new custom recipe in the editor; it is stored once it is saved
+function createRecipe({ name, tiers }) {
+    loadRecipeDraft({ id: `recipe-${Date.now().toString(36)}`, name, tiers: JSON.parse(JSON.stringify(tiers)) });
+}
+
+// Store the draft (adding it when it is new) and select it for prefills
+function saveRecipe() {
+    if (validateRecipe(recipeDraft, MAX_COLORS) || recipeDraft.builtin) return;
+
+    const index = recipeSettings.custom.findIndex(recipe => recipe.id === recipeDraft.id);
+    recipeDraft.name = recipeDraft.name.trim();
+    const recipe = JSON.parse(JSON.stringify(recipeDraft));
+    if (index === -1) {
+        recipeSettings.custom.push(recipe);
+    } else {
+        recipeSettings.custom[index] = recipe;
+    }
+    recipeSettings.selected = recipeDraft.id;
+    savePreference('recipes', recipeSettings);
+    renderRecipeSelect();
+    editRecipe(recipeDraft.id);
+    showNotification(`Recipe "${recipeDraft.name}" saved`);
+}
+
+// Delete the custom recipe in the editor, or discard it when it was never saved
+function deleteRecipe() {
+    if (recipeDraft.builtin) return;
+    if (!recipeSettings.custom.some(recipe => recipe.id === recipeDraft.id)) {
+        editRecipe(recipeSettings.selected);
+        return;
+    }
+    if (!confirm(`Delete the "${recipeDraft.name}" recipe?`)) return;
+
+    recipeSettings.custom = recipeSettings.custom.filter(recipe => recipe.id !== recipeDraft.id);
+    if (recipeSettings.selected === recipeDraft.id) {
+        recipeSettings.selected = BUILTIN_RECIPES[0].id;
+    }
+    savePreference('recipes', recipeSettings);
+    renderRecipeSelect();
+    editRecipe(recipeSettings.selected);
+}
+
+// Switch the color-vision simulation for the image and the palette
+function setVisionMode(mode) {
+    visionSettings.mode = mode in CVD_MODES ? mode : 'none';
+    visionMode.value = visionSettings.mode;
+    savePreference('vision', visionSettings);
+
+    drawImage();
+    drawCropRectangle();
+    renderPalette(false);
+}
+
+// Step through the simulation modes (V / Shift+V)
+function cycleVisionMode(direction) {
+    const modes = Object.keys(CVD_MODES);
+    const index = modes.indexOf(visionSettings.mode);
+    const mode = modes[(index + direction + modes.length) % modes.length];
+    setVisionMode(mode);
+    showNotification(CVD_MODES[mode].label);
+}
+
+// Apply and remember the ΔE below which simulated colors count as confusable
+function updateVisionThreshold() {
+    const threshold = parseFloat(visionThreshold.value);
+    visionSettings.threshold = Math.max(1, Math.min(50, isNaN(threshold) ? DEFAULT_VISION_SETTINGS.threshold : threshold));
+    visionThreshold.value = visionSettings.threshold;
+    savePreference('vision', visionSettings);
+    renderPalette(false);
+}
+
+// Image region coverage is measured in: the last crop selection, or the whole image
+function getCoverageRegion() {
+    return coverageSettings.scope === 'crop' && coverageRegion
+        ? coverageRegion
+        : { x: 0, y: 0, width: currentImage.width, height: currentImage.height };
+}
+
+// Bucketed colors of the coverage region, built once per image and region
+function getCoverageHistogram() {
+    const region = getCoverageRegion();
+    const key = `${region.x},${region.y},${region.width},${region.height}`;
+    if (!coverageHistogram || coverageHistogram.key !== key) {
+        coverageHistogram = { key, histogram: buildColorHistogram(imagePixels, region) };
+    }
+    return coverageHistogram;
+}
+
+// Map of swatch -> share of the coverage region nearest to it, or null without an image
+function getPaletteCoverage() {
+    if (!imagePixels || colors.length === 0) return null;
+
+    const { key: regionKey, histogram } = getCoverageHistogram();
+    const key = `${regionKey}|${colors.map(swatch => swatch.hex).join()}`;
+    if (!coverageShares || coverageShares.key !== key) {
+        coverageShares = { key, shares: computeCoverage(histogram, colors) };
+    }
+    return new Map(colors.map((swatch, i) => [swatch, coverageShares.shares[i]]));
+}
+
+// Coverage percentage and mask pin button on a color block
+function addCoverageControls(block, swatch, share) {
+    const label = document.createElement('div');
+    label.className = 'color-coverage';
+    label.textContent = formatCoverage(share);
+    label.title = `${formatCoverage(share)} of the ${coverageSettings.scope === 'crop' && coverageRegion ? 'crop selection' : 'image'} is nearest to this color`;
+
+    const pinBtn = document.createElement('button');
+    pinBtn.className = 'mask-btn';
+    pinBtn.classList.toggle('active', swatch.id === pinnedMaskId);
+    pinBtn.textContent = '◎';
+    pinBtn.title = swatch.id === pinnedMaskId ? 'Unpin the matching-pixel mask' : 'Pin the matching-pixel mask';
+    pinBtn.onclick = (e) => {
+        e.stopPropagation();
+        pinnedMaskId = swatch.id === pinnedMaskId ? null : swatch.id;
+        renderPalette(false);
+    };
+
+    block.appendChild(label);
+    block.appendChild(pinBtn);
+}
+
+// "12.5%", with tiny non-zero shares shown as "<0.1%"
+function formatCoverage(share) {
+    if (share > 0 && share < 0.001) return '<0.1%';
+    return `${(share * 100).toFixed(share === 0 || share === 1 ? 0 : 1)}%`;
+}
+
+// Swatch whose matching pixels are masked: the hovered one, else the pinned one
+function getMaskSwatch() {
+    return highlightedSwatch || colors.find(swatch => swatch.id === pinnedMaskId) || null;
+}
+
+// Mask of the pixels within the tolerance of the mask swatch, rebuilt only when its inputs change
+function getMatchMask() {
+    const swatch = getMaskSwatch();
+    if (!swatch || !imagePixels) return null;
+
+    const { key: regionKey, histogram } = getCoverageHistogram();
+    const key = `${regionKey}|${swatch.hex}|${coverageSettings.tolerance}`;
+    if (!matchMask || matchMask.key !== key) {
+        const { matches, share } = findMatchingBuckets(histogram, swatch.hex, coverageSettings.tolerance);
+        const maskCanvas = matchMask ? matchMask.canvas : document.createElement('canvas');
+        maskCanvas.width = imagePixels.width;
+        maskCanvas.height = imagePixels.height;
+        const maskCtx = maskCanvas.getContext('2d');
+        const mask = maskCtx.createImageData(imagePixels.width, imagePixels.height);
+        fillMatchMask(imagePixels, getCoverageRegion(), matches, mask.data);
+        maskCtx.putImageData(mask, 0, 0);
+        matchMask = { key, canvas: maskCanvas, share };
+    }
+    return matchMask;
+}
+
+// Dim everything but the pixels matching the hovered or pinned swatch (in image space)
+function drawMatchMask() {
+    const mask = getMatchMask();
+    if (!mask) return;
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(mask.canvas, 0, 0);
+}
+
+// Describe the current mask under the coverage controls
+function updateCoverageReadout() {
+    const swatch = getMaskSwatch();
+    const mask = getMatchMask();
+    if (!mask) {
+        coverageMatch.textContent = imagePixels
+            ? 'Hover a color, or pin one with ◎, to highlight the pixels matching it'
+            : '';
+        return;
+    }
+    const area = coverageSettings.scope === 'crop' && coverageRegion ? 'crop selection' : 'image';
+    coverageMatch.textContent = `${formatCoverage(mask.share)} of the ${area} is within ΔE ${coverageSettings.tolerance} of ${swatch.hex.toUpperCase()}`;
+}
+
+// Show the coverage settings; the crop scope needs a crop selection first
+function renderCoverageControls() {
+    coverageScope.value = coverageSettings.scope === 'crop' && coverageRegion ? 'crop' : 'image';
+    coverageScope.querySelector('option[value="crop"]').disabled = !coverageRegion;
+    coverageTolerance.value = coverageSettings.tolerance;
+    coverageToleranceValue.textContent = coverageSettings.tolerance;
+}
+
+// Apply and remember changed coverage scope or tolerance
+function updateCoverageSettings() {
+    coverageSettings = {
+        scope: coverageScope.value,
+        tolerance: parseInt(coverageTolerance.value, 10)
+    };
+    coverageToleranceValue.textContent = coverageSettings.tolerance;
+    savePreference('coverage', coverageSettings);
+    renderPalette(false);
+}
+
+// List, per condition, the palette pairs that become indistinguishable
+function renderVisionWarnings() {
+    visionWarnings.innerHTML = '';
+    if (colors.length < 2) return;
+
+    let flagged = 0;
+    Object.keys(CVD_MODES).filter(mode => mode !== 'none').forEach(mode => {
+        const pairs = findConfusablePairs(colors, mode, visionSettings.threshold);
+        if (pairs.length === 0) return;
+        flagged++;
+
+        const row = document.createElement('div');
+        row.className = mode === visionSettings.mode ? 'vision-warning active' : 'vision-warning';
+        row.title = `Click to simulate ${CVD_MODES[mode].label.toLowerCase()}`;
+        row.addEventListener('click', () => setVisionMode(mode));
+
+        const label = document.createElement('div');
+        label.className = 'vision-warning-label';
+        label.textContent = `⚠ ${CVD_MODES[mode].label.split(' (')[0]}: ${pairs.length} pair${pairs.length === 1 ? '' : 's'}`;
+        row.appendChild(label);
+
+        const list = document.createElement('div');
+        list.className = 'vision-pairs';
+        pairs.forEach(pair => {
+            const item = document.createElement('span');
+            item.className = 'vision-pair';
+            item.title = `${pair.a.hex.toUpperCase()} / ${pair.b.hex.toUpperCase()}: ΔE ${pair.deltaE.toFixed(1)}`;
+            [pair.a, pair.b].forEach(swatch => {
+                const chip = document.createElement('span');
+                chip.style.background = swatch.hex;
+                item.appendChild(chip);
+            });
+            list.appendChild(item);
+        });
+        row.appendChild(list);
+
+        visionWarnings.appendChild(row);
+    });
+
+    if (flagged === 0) {
+        visionWarnings.innerHTML = `<div class="vision-ok">✓ All pairs stay distinguishable (ΔE ≥ ${visionSettings.threshold})</div>`;
+    }
+}
+
+// Show settings with the current values
+function openSettings() {
+    extractAlgorithm.value = extractionSettings.algorithm;
+    extractColorCount.value = extractionSettings.colorCount;
+    extractQuality.value = extractionSettings.quality;
+    extractQualityValue.textContent = extractionSettings.quality;
+    samplerSize.value = samplerSettings.size;
+    samplerRadius.value = samplerSettings.radius;
+    samplerRadius.disabled = samplerSettings.size !== 'custom';
+    samplerMethod.value = samplerSettings.method;
+    visionThreshold.value = visionSettings.threshold;
+    historyLimit.value = historySettings.limit;
+    openModal(settingsModal);
+}
+
+// Apply and remember changed extraction settings
+function updateExtractionSettings() {
+    const count = parseInt(extractColorCount.value, 10);
+    extractionSettings = {
+        algorithm: extractAlgorithm.value,
+        colorCount: Math.max(2, Math.min(MAX_COLORS, isNaN(count) ? DEFAULT_EXTRACTION_SETTINGS.colorCount : count)),
+        quality: parseInt(extractQuality.value, 10)
+    };
+    extractColorCount.value = extractionSettings.colorCount;
+    savePreference('extraction', extractionSettings);
+}
+
+// Apply and remember changed sampler settings
+function updateSamplerSettings() {
+    const radius = parseInt(samplerRadius.value, 10);
+    samplerSettings = {
+        size: samplerSize.value,
+        radius: Math.max(0, Math.min(MAX_SAMPLER_RADIUS, isNaN(radius) ? DEFAULT_SAMPLER_SETTINGS.radius : radius)),
+        method: samplerMethod.value
+    };
+    samplerRadius.value = samplerSettings.radius;
+    samplerRadius.disabled = samplerSettings.size !== 'custom';
+    savePreference('sampler', samplerSettings);
+}
+
+// Clear all colors; locked ones stay unless the user confirms removing them too
+function clearAll() {
+    if (colors.length === 0) return;
+
+    const locked = getLockedColors();
+    const kept = locked.length > 0 &&
+        !confirm(`Also remove ${locked.length} locked color${locked.length === 1 ? '' : 's'}? Cancel keeps them.`)
+        ? locked
+        : [];
+    if (kept.length === colors.length) return;
+
+    saveState(kept.length > 0 ? `Cleared (kept ${kept.length} locked)` : 'Cleared');
+    
+    // Fade out the blocks of the removed colors
+    const colorBlocks = document.querySelectorAll('.color-block');
+    const removedBlocks = getOrderedColors()
+        .map((swatch, index) => kept.includes(swatch) ? null : colorBlocks[index])
+        .filter(Boolean);
+    removedBlocks.forEach((block, index) => {
+        setTimeout(() => {
+            block.style.animation = 'colorBlockFadeOut 0.3s ease forwards';
+        }, index * 30); // Stagger the fade out
+    });
+    
+    // Clear colors after animation completes
+    setTimeout(() => {
+        colors = kept;
+        renderPalette();
+    }, removedBlocks.length * 30 + 300);
+}
+
+// Show notification with stacking
+let notificationOffset = 0;
+const NOTIFICATION_HEIGHT = 50; // Approximate height including margin
+
+function showNotification(message) {
+    const notification = document.createElement('div');
+    notification.className = 'notification';
+    notification.textContent = message;
+    
+    // Position this notification below existing ones
+    notification.style.top = `${80 + notificationOffset}px`;
+    notificationOffset += NOTIFICATION_HEIGHT;
+    
+    document.body.appendChild(notification);
+
+    // When this notification exits, move up remaining notifications
+    setTimeout(() => {
+        notification.classList.add('notification-exit');
+        notificationOffset -= NOTIFICATION_HEIGHT;
+        
+        // Shift all notifications below this one upward
+        const allNotifications = document.querySelectorAll('.notification:not(.notification-exit)');
+        allNotifications.forEach(notif => {
+            const currentTop = parseInt(notif.style.top);
+            if (currentTop > parseInt(notification.style.top)) {
+                notif.style.top = `${currentTop - NOTIFICATION_HEIGHT}px`;
+            }
+        });
+        
+        setTimeout(() => notification.remove(), 300);
+    }, 2000);
+}
+
+// Show tooltip on element
+function showTooltip(element, message) {
+    const tooltip = document.createElement('div');
+    tooltip.className = 'tooltip';
+    tooltip.textContent = message;
+    element.style.position = 'relative';
+    element.appendChild(tooltip);
+    setTimeout(() => tooltip.remove(), 1000);
+}
+
+// Autosave the session (palette, history, view) shortly after changes
+function scheduleSessionSave() {
+    if (isRestoringSession) return;
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveSession, SESSION_SAVE_DELAY);
+}
+
+// Write the session to storage (never mid-restore, when it is still the empty startup state)
+function saveSession() {
+    sessionSaveTimer = null;
+    if (isRestoringSession) return;
+    saveSessionState({ colors, history: { undo: undoStack, redo: redoStack }, zoom, panX, panY }).catch(error => {
+        console.warn('Autosave failed:', error);
+    });
+}
+
+// Bring back the palette, history, image and view from the last visit
+async function restoreSession() {
+    // An autosave scheduled by the first render would overwrite the stored session
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+    isRestoringSession = true;
+    try {
+        const [state, imageBlob] = await Promise.all([loadSessionState(), loadSessionImage()]);
+
+        if (imageBlob) {
+            await loadImageBlob(imageBlob, state);
+        }
+        if (state && Array.isArray(state.colors)) {
+            colors = state.colors;
+            undoStack = state.history ? state.history.undo : [];
+            redoStack = state.history ? state.history.redo : [];
+            trimHistory();
+            // Keep new ids clear of the restored ones
+            const ids = [colors, ...[...undoStack, ...redoStack].map(entry => entry.state.colors)]
+                .flat()
+                .map(swatch => swatch.id || 0);
+            nextSwatchId = Math.max(nextSwatchId, ...ids) + 1;
+            renderPalette(false);
+        }
+    } catch (error) {
+        console.warn('Could not restore the previous session:', error);
+    } finally {
+        isRestoringSession = false;
+    }
+}
+
+// Close a side panel (library or history) if it is open
+function hideSidePanel(panel, button) {
+    panel.classList.add('hidden');
+    button.classList.remove('active');
+}
+
+// Show or hide the history panel
+function toggleHistory() {
+    hideSidePanel(libraryPanel, libraryBtn);
+    historyPanel.classList.toggle('hidden');
+    historyBtn.classList.toggle('active', !historyPanel.classList.contains('hidden'));
+    if (!historyPanel.classList.contains('hidden')) {
+        renderHistory();
+    }
+}
+
+// List the history oldest first: the oldest kept state, every applied action (the last
+// one is the current state), then the undone actions that can still be redone.
+// Row n stands for the state with n undo steps applied.
+function renderHistory() {
+    const rows = [
+        'Oldest kept state',
+        ...undoStack.map(entry => entry.label),
+        ...redoStack.map(entry => entry.label).reverse()
+    ];
+
+    historyList.innerHTML = '';
+    rows.forEach((label, position) => {
+        const item = document.createElement('button');
+        item.className = 'history-item';
+        item.classList.toggle('current', position === undoStack.length);
+        item.classList.toggle('undone', position > undoStack.length);
+        item.textContent = label;
+        item.title = position === undoStack.length ? 'Current state' : 'Go back to this state';
+        item.onclick = () => jumpToHistory(position);
+        historyList.appendChild(item);
+    });
+    historyList.querySelector('.current').scrollIntoView({ block: 'nearest' });
+}
+
+// Apply and remember the history length setting
+function updateHistoryLimit() {
+    const limit = parseInt(historyLimit.value, 10);
+    historySettings.limit = Math.max(0, isNaN(limit) ? DEFAULT_HISTORY_SETTINGS.limit : limit);
+    historyLimit.value = historySettings.limit;
+    savePreference('history', historySettings);
+    trimHistory();
+    updateHistoryButtons();
+    scheduleSessionSave();
+}
+
+// Show or hide the palette library
+function toggleLibrary() {
+    hideSidePanel(historyPanel, historyBtn);
+    libraryPanel.classList.toggle('hidden');
+    libraryBtn.classList.toggle('active', !libraryPanel.classList.contains('hidden'));
+    if (!libraryPanel.classList.contains('hidden')) {
+        refreshLibrary();
+    }
+}
+
+// Re-render the library list from storage
+async function refreshLibrary() {
+    let palettes;
+    try {
+        palettes = await listPalettes();
+    } catch (error) {
+        console.warn('Could not read the library:', error);
+        libraryList.innerHTML = '<div class="palette-empty">Library storage is not available in this browser</div>';
+        return;
+    }
+
+    libraryList.innerHTML = '';
+    if (palettes.length === 0) {
+        libraryList.innerHTML = '<div class="palette-empty">No saved palettes yet</div>';
+        return;
+    }
+    palettes.forEach(palette => libraryList.appendChild(createLibraryItem(palette)));
+}
+
+// Create a library list entry with thumbnail, color strip and actions
+function createLibraryItem(palette) {
+    const item = document.createElement('div');
+    item.className = 'library-item';
+    item.title = 'Open this palette';
+
+    const thumb = document.createElement(palette.thumbnail ? 'img' : 'div');
+    thumb.className = 'library-thumb';
+    if (palette.thumbnail) {
+        thumb.src = palette.thumbnail;
+        thumb.alt = '';
+    }
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+
+    const name = document.createElement('div');
+    name.className = 'library-name';
+    name.textContent = palette.name;
+
+    const strip = document.createElement('div');
+    strip.className = 'library-strip';
+    palette.colors.forEach(swatch => {
+        const chip = document.createElement('span');
+        chip.style.background = swatch.hex;
+        strip.appendChild(chip);
+    });
+
+    const meta = document.createElement('div');
+    meta.className = 'library-meta';
+    meta.textContent = `${palette.colors.length} colors · ${new Date(palette.updatedAt).toLocaleDateString()}`;
+
+    info.appendChild(name);
+    info.appendChild(strip);
+    info.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+    [
+        ['✏️', 'Rename', () => renameLibraryPalette(palette)],
+        ['⧉', 'Duplicate', () => duplicateLibraryPalette(palette)],
+        ['🗑️', 'Delete', () => deleteLibraryPalette(palette)]
+    ].forEach(([icon, label, action]) => {
+        const button = document.createElement('button');
+        button.className = 'library-action';
+        button.textContent = icon;
+        button.title = label;
+        button.onclick = (e) => {
+            e.stopPropagation();
+            action();
+        };
+        actions.appendChild(button);
+    });
+
+    item.appendChild(thumb);
+    item.appendChild(info);
+    item.appendChild(actions);
+    item.addEventListener('click', () => openLibraryPalette(palette.id));
+
+    return item;
+}
+
+// Save the current palette (and its source image) to the library
+async function saveToLibrary() {
+    if (colors.length === 0) {
+        showNotification('Add some colors before saving');
+        return;
+    }
+
+    const name = prompt('Palette name:', `Palette ${new Date().toLocaleString()}`);
+    if (name === null) return;
+
+    const now = Date.now();
+    await runLibraryAction(() => putPalette({
+        id: createPaletteId(),
+        name: name.trim() || 'Untitled palette',
+        colors: colors.map(swatch => ({ ...swatch })),
+        thumbnail: createThumbnail(),
+        imageBlob: currentImageBlob,
+        createdAt: now,
+        updatedAt: now
+    }), 'Palette saved to library');
+}
+
+// Replace the palette (and image, if the entry has one) with a library entry
+async function openLibraryPalette(id) {
+    try {
+        const palette = await getPalette(id);
+        if (!palette) return;
+
+        if (palette.imageBlob && palette.imageBlob !== currentImageBlob) {
+            await loadImageBlob(palette.imageBlob);
+            saveSessionImage(palette.imageBlob).catch(error => console.warn('Could not save the image:', error));
+        }
+
+        saveState(`Opened "${palette.name}"`);
+        colors = cloneSwatches(palette.colors);
+        renderPalette();
+        showNotification(`Opened "${palette.name}"`);
+    } catch (error) {
+        console.error('Library error:', error);
+        alert('Failed to open the palette.');
+    }
+}
+
+// Ask for a new name and store it
+async function renameLibraryPalette(palette) {
+    const name = prompt('Rename palette:', palette.name);
+    if (name === null || !name.trim()) return;
+    await runLibraryAction(() => putPalette({ ...palette, name: name.trim(), updatedAt: Date.now() }), 'Palette renamed');
+}
+
+// Store a copy of a palette under a fresh id
+async function duplicateLibraryPalette(palette) {
+    const now = Date.now();
+    await runLibraryAction(() => putPalette({
+        ...palette,
+        id: createPaletteId(),
+        name: `${palette.name} copy`,
+        createdAt: now,
+        updatedAt: now
+    }), 'Palette duplicated');
+}
+
+// Remove a palette from the library after confirming
+async function deleteLibraryPalette(palette) {
+    if (!confirm(`Delete "${palette.name}" from the library?`)) return;
+    await runLibraryAction(() => deletePalette(palette.id), 'Palette deleted');
+}
+
+// Run a library change, then refresh the list and report the outcome
+async function runLibraryAction(action, successMessage) {
+    try {
+        await action();
+        showNotification(successMessage);
+    } catch (error) {
+        console.error('Library error:', error);
+        alert('The palette library could not be updated.');
+    }
+    if (!libraryPanel.classList.contains('hidden')) {
+        refreshLibrary();
+    }
+}
+
+// Download the whole library as one JSON file
+async function downloadLibraryBackup() {
+    try {
+        const backup = await exportLibraryBackup();
+        downloadBlob(new Blob([backup], { type: 'application/json' }), 'palette-library.json');
+        showNotification('Library backup downloaded!');
+    } catch (error) {
+        console.error('Backup error:', error);
+        alert('Failed to export the library.');
+    }
+}
+
+// Add the palettes of a JSON backup to the library
+async function handleLibraryBackupImport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const count = await importLibraryBackup(await file.text());
+        showNotification(`Restored ${count} palette${count === 1 ? '' : 's'} from backup`);
+        refreshLibrary();
+    } catch (error) {
+        console.error('Backup error:', error);
+        alert(`Failed to import the backup: ${error.message}`);
+    }
+}
+
+// Small JPEG data URL of the current image, for library entries
+function createThumbnail() {
+    if (!currentImage) return null;
+
+    const scale = THUMBNAIL_SIZE / Math.max(currentImage.width, currentImage.height);
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = Math.max(1, Math.round(currentImage.width * scale));
+    thumbCanvas.height = Math.max(1, Math.round(currentImage.height * scale));
+    thumbCanvas.getContext('2d').drawImage(currentImage, 0, 0, thumbCanvas.width, thumbCanvas.height);
+    return thumbCanvas.toDataURL('image/jpeg', 0.8);
 }
 
 // Initial render
+updateLoupeButton();
+renderRecipeSelect();
+visionMode.value = visionSettings.mode;
+recolorDither.value = recolorSettings.dither;
+sortMode.value = paletteSettings.sort;
+renderCoverageControls();
 renderPalette();
+restoreSession().then(applySharedPalette);
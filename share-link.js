@@ -0,0 +1,128 @@
+// Shareable palette links: the palette is packed into the URL hash as "#palette=<base64url>".
+// Layout: version, flags, color count, 3 bytes per color, optional details JSON (UTF-8),
+// then a CRC-32 of everything before it so damaged or edited links are rejected.
+
+const SHARE_HASH_KEY = 'palette';
+const SHARE_VERSION = 1;
+const SHARE_FLAG_DETAILS = 1; // Group, variant, name and roles of each swatch follow the colors
+
+// Encode swatches ({ hex, group?, variant?, name?, roles? }) as a URL hash
+function encodePaletteHash(swatches, includeDetails = true) {
+    const details = includeDetails ? getShareDetails(swatches) : null;
+    const detailBytes = details ? new TextEncoder().encode(JSON.stringify(details)) : new Uint8Array(0);
+
+    const body = new Uint8Array(3 + swatches.length * 3 + detailBytes.length);
+    body[0] = SHARE_VERSION;
+    body[1] = details ? SHARE_FLAG_DETAILS : 0;
+    body[2] = swatches.length;
+    swatches.forEach((swatch, i) => {
+        const value = parseInt(swatch.hex.slice(1), 16);
+        body.set([value >> 16, (value >> 8) & 0xff, value & 0xff], 3 + i * 3);
+    });
+    body.set(detailBytes, 3 + swatches.length * 3);
+
+    const checksum = new Uint8Array(4);
+    new DataView(checksum.buffer).setUint32(0, crc32(body));
+
+    return `#${SHARE_HASH_KEY}=${bytesToBase64Url(concatBytes([body, checksum]))}`;
+}
+
+// Per-swatch [group, variant, name, space-separated roles], trailing blanks dropped;
+// null when no swatch has any
+function getShareDetails(swatches) {
+    const details = swatches.map(swatch => {
+        const entry = [swatch.group || '', swatch.variant || '', swatch.name || '', (swatch.roles || []).join(' ')];
+        while (entry.length && !entry[entry.length - 1]) entry.pop();
+        return entry.length ? entry : 0;
+    });
+    return details.some(Boolean) ? details : null;
+}
+
+// Whether a location hash carries a shared palette
+function isPaletteHash(hash) {
+    return hash.startsWith(`#${SHARE_HASH_KEY}=`);
+}
+
+// Decode a "#palette=..." hash into [{ hex, group?, variant?, name? }].
+// Throws an Error with a user-facing message when the link is invalid.
+function decodePaletteHash(hash) {
+    let bytes;
+    try {
+        bytes = base64UrlToBytes(hash.slice(SHARE_HASH_KEY.length + 2));
+    } catch (error) {
+        throw new Error('The link is not a valid palette link');
+    }
+    if (bytes.length < 7) {
+        throw new Error('The palette link is incomplete');
+    }
+
+    const body = bytes.subarray(0, bytes.length - 4);
+    const checksum = new DataView(bytes.buffer, bytes.byteOffset + body.length, 4).getUint32(0);
+    if (crc32(body) !== checksum) {
+        throw new Error('The palette link is damaged or was edited');
+    }
+    if (body[0] !== SHARE_VERSION) {
+        throw new Error('The palette link was made by a different version of the app');
+    }
+
+    const count = body[2];
+    const colorsEnd = 3 + count * 3;
+    if (count === 0 || count > MAX_COLORS || body.length < colorsEnd) {
+        throw new Error('The palette link has an invalid number of colors');
+    }
+
+    const swatches = [];
+    for (let i = 3; i < colorsEnd; i += 3) {
+        swatches.push({ hex: '#' + [body[i], body[i + 1], body[i + 2]].map(v => v.toString(16).padStart(2, '0')).join('') });
+    }
+
+    if (body[1] & SHARE_FLAG_DETAILS) {
+        readShareDetails(body.subarray(colorsEnd), swatches);
+    } else if (body.length !== colorsEnd) {
+        throw new Error('The palette link is damaged or was edited');
+    }
+
+    return swatches;
+}
+
+// Apply the details JSON to decoded swatches, rejecting anything malformed
+function readShareDetails(bytes, swatches) {
+    let details;
+    try {
+        details = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+    } catch (error) {
+        throw new Error('The palette link has unreadable color names');
+    }
+    if (!Array.isArray(details) || details.length !== swatches.length) {
+        throw new Error('The palette link has unreadable color names');
+    }
+
+    details.forEach((entry, i) => {
+        if (entry === 0) return;
+        if (!Array.isArray(entry) || entry.length > 4 || entry.some(part => typeof part !== 'string')) {
+            throw new Error('The palette link has unreadable color names');
+        }
+        const [group, variant, name, roles = ''] = entry;
+        if (group) swatches[i].group = group;
+        if (group && variant) swatches[i].variant = variant;
+        if (name) swatches[i].name = name;
+        const knownRoles = readRoles(roles.split(' '));
+        if (knownRoles.length > 0) swatches[i].roles = knownRoles;
+    });
+}
+
+// Base64 without padding, using the URL-safe alphabet
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decode URL-safe base64 (padding optional) into bytes
+function base64UrlToBytes(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('Invalid base64url');
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
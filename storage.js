@@ -0,0 +1,180 @@
+// IndexedDB persistence: the autosaved session and the named palette library.
+// Every function returns a promise; callers decide how to report failures.
+
+const DB_NAME = 'colorPalettePicker';
+const DB_VERSION = 1;
+const SESSION_STORE = 'session'; // Keys: 'state' (colors, view, history) and 'image' (source blob)
+const PALETTE_STORE = 'palettes'; // Library entries, keyed by id
+const BACKUP_FORMAT = 'color-palette-picker-library';
+const BACKUP_VERSION = 1;
+
+let databasePromise = null;
+
+// Open (and on first use, create) the database
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                    db.createObjectStore(SESSION_STORE);
+                }
+                if (!db.objectStoreNames.contains(PALETTE_STORE)) {
+                    db.createObjectStore(PALETTE_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry after a failed open
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+// Run one request against a store and resolve with its result
+async function runStoreRequest(storeName, mode, createRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = createRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Session: { colors, history: { undo, redo }, zoom, panX, panY }
+function loadSessionState() {
+    return runStoreRequest(SESSION_STORE, 'readonly', store => store.get('state'));
+}
+
+// Replace the stored session
+function saveSessionState(state) {
+    return runStoreRequest(SESSION_STORE, 'readwrite', store => store.put(state, 'state'));
+}
+
+// Session image: the uploaded file as a Blob (null when no image is loaded)
+function loadSessionImage() {
+    return runStoreRequest(SESSION_STORE, 'readonly', store => store.get('image'));
+}
+
+// Replace the stored session image
+function saveSessionImage(blob) {
+    return runStoreRequest(SESSION_STORE, 'readwrite', store => store.put(blob, 'image'));
+}
+
+// Library: [{ id, name, colors, thumbnail, imageBlob, createdAt, updatedAt }], newest first
+async function listPalettes() {
+    const palettes = await runStoreRequest(PALETTE_STORE, 'readonly', store => store.getAll());
+    return palettes.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// One library palette by id (undefined when missing)
+function getPalette(id) {
+    return runStoreRequest(PALETTE_STORE, 'readonly', store => store.get(id));
+}
+
+// Add a library palette, or replace the one with its id
+function putPalette(palette) {
+    return runStoreRequest(PALETTE_STORE, 'readwrite', store => store.put(palette));
+}
+
+// Remove a library palette
+function deletePalette(id) {
+    return runStoreRequest(PALETTE_STORE, 'readwrite', store => store.delete(id));
+}
+
+// Unique id for library entries
+function createPaletteId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Serialize the whole library to a JSON backup string (images inlined as data URLs)
+async function exportLibraryBackup() {
+    const palettes = await listPalettes();
+    const entries = await Promise.all(palettes.map(async ({ imageBlob, ...palette }) => ({
+        ...palette,
+        image: imageBlob ? await blobToDataUrl(imageBlob) : null
+    })));
+
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        palettes: entries
+    });
+}
+
+// Add the palettes from a JSON backup to the library; returns how many were imported.
+// Entries get fresh ids so a backup never overwrites existing palettes; entries with an
+// unreadable color are skipped.
+async function importLibraryBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The backup file is not valid JSON');
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT || !Array.isArray(backup.palettes)) {
+        throw new Error('Not a palette library backup');
+    }
+    if (backup.version > BACKUP_VERSION) {
+        throw new Error('This backup was made by a newer version of the app');
+    }
+
+    const now = Date.now();
+    const palettes = backup.palettes
+        .filter(entry => entry && Array.isArray(entry.colors) && entry.colors.every(isBackupSwatch))
+        .map(({ image, ...entry }, index) => ({
+            ...entry,
+            id: createPaletteId(),
+            colors: entry.colors.map(swatch => {
+                const { r, g, b } = hexToRgb(swatch.hex.trim());
+                return { ...swatch, hex: rgbToHex(r, g, b) };
+            }),
+            name: String(entry.name || 'Imported palette'),
+            imageBlob: image ? dataUrlToBlob(image) : null,
+            createdAt: entry.createdAt || now,
+            updatedAt: entry.updatedAt || now - index
+        }));
+
+    for (const palette of palettes) {
+        await putPalette(palette);
+    }
+    return palettes.length;
+}
+
+// Whether a stored swatch has a readable hex color (damaged or hand-edited palettes are skipped)
+function isBackupSwatch(swatch) {
+    return !!swatch && typeof swatch.hex === 'string' && !!hexToRgb(swatch.hex.trim());
+}
+
+// Read a Blob as a data URL
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Decode a base64 data URL into a Blob
+function dataUrlToBlob(dataUrl) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/.exec(dataUrl);
+    if (!match) throw new Error('Invalid image data in backup');
+
+    const data = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+    const bytes = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i++) bytes[i] = data.charCodeAt(i);
+    return new Blob([bytes], { type: match[1] || 'application/octet-stream' });
+}
@@ -0,0 +1,434 @@
+// Swatch files for design tools: Adobe Swatch Exchange (.ase), GIMP palettes (.gpl),
+// Procreate swatches (.swatches) and JSON color lists.
+// Writers take [{ name, hex }]; parsers return the same shape.
+
+const SWATCH_FILE_FORMATS = {
+    ase: { label: 'Adobe Swatch Exchange (.ase)', filename: 'palette.ase', mimeType: 'application/octet-stream', binary: true },
+    gpl: { label: 'GIMP / Inkscape palette (.gpl)', filename: 'palette.gpl', mimeType: 'text/plain' },
+    procreate: { label: 'Procreate swatches (.swatches)', filename: 'palette.swatches', mimeType: 'application/zip', binary: true }
+};
+
+const PROCREATE_MAX_SWATCHES = 30;
+const ASE_BLOCK_COLOR = 0x0001;
+const ASE_COLOR_TYPE_NORMAL = 2;
+
+// Write a swatch file; returns a string for text formats and a Uint8Array for binary ones
+function writeSwatchFile(format, entries, paletteName = 'Color Palette') {
+    switch (format) {
+        case 'ase': return writeAse(entries);
+        case 'gpl': return writeGpl(entries, paletteName);
+        case 'procreate': return writeProcreateSwatches(entries, paletteName);
+        default: throw new Error(`Unknown swatch file format: ${format}`);
+    }
+}
+
+// Read a swatch file, picking the parser from the file extension
+async function parseSwatchFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    switch (extension) {
+        case 'ase': return parseAse(await file.arrayBuffer());
+        case 'gpl': return parseGpl(await file.text());
+        case 'swatches': return parseProcreateSwatches(await file.arrayBuffer());
+        case 'json': return parseColorJson(await file.text());
+        default: throw new Error(`Unsupported palette file: .${extension}`);
+    }
+}
+
+// Adobe Swatch Exchange: big-endian blocks of UTF-16 names and float RGB values
+function writeAse(entries) {
+    const blocks = entries.map(entry => {
+        const name = `${entry.name}\0`;
+        const length = 2 + name.length * 2 + 4 + 12 + 2;
+        const block = new DataView(new ArrayBuffer(6 + length));
+        let offset = 0;
+
+        block.setUint16(offset, ASE_BLOCK_COLOR); offset += 2;
+        block.setUint32(offset, length); offset += 4;
+        block.setUint16(offset, name.length); offset += 2;
+        for (let i = 0; i < name.length; i++, offset += 2) {
+            block.setUint16(offset, name.charCodeAt(i));
+        }
+        for (const char of 'RGB ') {
+            block.setUint8(offset++, char.charCodeAt(0));
+        }
+        const rgb = hexToRgb(entry.hex);
+        [rgb.r, rgb.g, rgb.b].forEach(channel => {
+            block.setFloat32(offset, channel / 255);
+            offset += 4;
+        });
+        block.setUint16(offset, ASE_COLOR_TYPE_NORMAL);
+        return new Uint8Array(block.buffer);
+    });
+
+    const header = new DataView(new ArrayBuffer(12));
+    'ASEF'.split('').forEach((char, i) => header.setUint8(i, char.charCodeAt(0)));
+    header.setUint16(4, 1); // Version 1.0
+    header.setUint16(6, 0);
+    header.setUint32(8, blocks.length);
+
+    return concatBytes([new Uint8Array(header.buffer), ...blocks]);
+}
+
+// Parse an .ase file; groups are flattened, non-color blocks skipped
+function parseAse(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 12 || readAscii(view, 0, 4) !== 'ASEF') {
+        throw new Error('Not an Adobe Swatch Exchange file');
+    }
+
+    const blockCount = view.getUint32(8);
+    const entries = [];
+    let offset = 12;
+
+    for (let i = 0; i < blockCount && offset + 6 <= buffer.byteLength; i++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const body = offset + 6;
+        offset = body + length;
+        if (offset > buffer.byteLength) throw new Error('Truncated .ase file');
+        if (type !== ASE_BLOCK_COLOR) continue; // Group start/end blocks
+
+        const nameLength = view.getUint16(body);
+        let name = '';
+        for (let c = 0; c < nameLength; c++) {
+            const code = view.getUint16(body + 2 + c * 2);
+            if (code !== 0) name += String.fromCharCode(code);
+        }
+
+        const modelOffset = body + 2 + nameLength * 2;
+        const model = readAscii(view, modelOffset, 4).trim();
+        const values = [];
+        const channelCount = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model];
+        if (!channelCount) continue;
+        for (let c = 0; c < channelCount; c++) {
+            values.push(view.getFloat32(modelOffset + 4 + c * 4));
+        }
+
+        const rgb = aseValuesToRgb(model, values);
+        entries.push({ name, hex: rgbToHex(rgb.r, rgb.g, rgb.b) });
+    }
+
+    return entries;
+}
+
+// Convert ASE color values (0-1 floats; Lab L 0-1 and a/b -128..127) to 8-bit sRGB
+function aseValuesToRgb(model, values) {
+    const to8bit = value => Math.round(Math.max(0, Math.min(1, value)) * 255);
+
+    switch (model) {
+        case 'RGB':
+            return { r: to8bit(values[0]), g: to8bit(values[1]), b: to8bit(values[2]) };
+        case 'Gray':
+            return { r: to8bit(values[0]), g: to8bit(values[0]), b: to8bit(values[0]) };
+        case 'CMYK': {
+            // Naive conversion without an ICC profile
+            const [c, m, y, k] = values;
+            return {
+                r: to8bit((1 - c) * (1 - k)),
+                g: to8bit((1 - m) * (1 - k)),
+                b: to8bit((1 - y) * (1 - k))
+            };
+        }
+        case 'LAB': {
+            // CIELAB (D50) -> XYZ -> linear sRGB with Bradford adaptation
+            const L = values[0] * 100;
+            const fy = (L + 16) / 116;
+            const fx = fy + values[1] / 500;
+            const fz = fy - values[2] / 200;
+            const finv = t => (t > 6 / 29 ? t * t * t : 3 * (6 / 29) * (6 / 29) * (t - 4 / 29));
+            const X = 0.96422 * finv(fx);
+            const Y = finv(fy);
+            const Z = 0.82521 * finv(fz);
+            return {
+                r: linearToSrgb(3.1338561 * X - 1.6168667 * Y - 0.4906146 * Z),
+                g: linearToSrgb(-0.9787684 * X + 1.9161415 * Y + 0.0334540 * Z),
+                b: linearToSrgb(0.0719453 * X - 0.2289914 * Y + 1.4052427 * Z)
+            };
+        }
+    }
+}
+
+// GIMP palette: a text header followed by "R G B<tab>name" lines
+function writeGpl(entries, paletteName) {
+    const lines = ['GIMP Palette', `Name: ${paletteName}`, 'Columns: 7', '#'];
+    entries.forEach(entry => {
+        const rgb = hexToRgb(entry.hex);
+        const channels = [rgb.r, rgb.g, rgb.b].map(value => String(value).padStart(3, ' '));
+        lines.push(`${channels.join(' ')}\t${entry.name}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Parse a .gpl file
+function parseGpl(text) {
+    const lines = text.split(/\r?\n/);
+    if (!lines[0] || lines[0].trim() !== 'GIMP Palette') {
+        throw new Error('Not a GIMP palette file');
+    }
+
+    const entries = [];
+    lines.slice(1).forEach(line => {
+        const match = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/.exec(line);
+        if (!match) return; // Name:, Columns:, comments and blank lines
+
+        const [r, g, b] = match.slice(1, 4).map(value => Math.min(255, parseInt(value, 10)));
+        const hex = rgbToHex(r, g, b);
+        entries.push({ name: match[4].trim() || hex.toUpperCase(), hex });
+    });
+
+    return entries;
+}
+
+// Procreate .swatches: a ZIP archive holding Swatches.json with HSB colors
+function writeProcreateSwatches(entries, paletteName) {
+    const swatches = entries.slice(0, PROCREATE_MAX_SWATCHES).map(entry => {
+        const rgb = hexToRgb(entry.hex);
+        const hsb = rgbToHsb(rgb.r, rgb.g, rgb.b);
+        return { hue: hsb.h, saturation: hsb.s, brightness: hsb.b, alpha: 1, colorSpace: 0 };
+    });
+    const json = JSON.stringify([{ name: paletteName, swatches }]);
+    return createZip([{ name: 'Swatches.json', data: new TextEncoder().encode(json) }]);
+}
+
+// Parse a .swatches file (deflated archives need DecompressionStream)
+async function parseProcreateSwatches(buffer) {
+    const files = await readZip(buffer);
+    const file = files.find(entry => /(^|\/)Swatches\.json$/i.test(entry.name));
+    if (!file) throw new Error('Not a Procreate swatches file');
+
+    let palettes;
+    try {
+        palettes = JSON.parse(new TextDecoder().decode(file.data));
+    } catch (error) {
+        throw new Error('Not a Procreate swatches file');
+    }
+    if (!Array.isArray(palettes)) palettes = [palettes];
+
+    const isUnit = value => typeof value === 'number' && value >= 0 && value <= 1;
+    const entries = [];
+    palettes.forEach(palette => {
+        if (!palette || !Array.isArray(palette.swatches)) return;
+        palette.swatches.forEach(swatch => {
+            if (!swatch) return; // Empty slot
+            if (![swatch.hue, swatch.saturation, swatch.brightness].every(isUnit)) return; // Damaged swatch
+            const rgb = hsbToRgb(swatch.hue, swatch.saturation, swatch.brightness);
+            const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+            entries.push({ name: hex.toUpperCase(), hex });
+        });
+    });
+    return entries;
+}
+
+// JSON color list: [{ name, hex, roles?, source? }] (as written by the plain JSON export) or ["#hex", ...]
+function parseColorJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Invalid JSON');
+    }
+    if (!Array.isArray(data)) data = data.colors;
+    if (!Array.isArray(data)) throw new Error('Expected a JSON array of colors');
+
+    return data.map(item => {
+        const value = typeof item === 'string' ? item : item && item.hex;
+        const rgb = typeof value === 'string' ? hexToRgb(value.trim()) : null;
+        if (!rgb) throw new Error(`Invalid color in JSON: ${JSON.stringify(item)}`);
+
+        const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+        const source = item && readColorSource(item.source);
+        const roles = item ? readRoles(item.roles) : [];
+        return {
+            name: (item && item.name) || hex.toUpperCase(),
+            hex,
+            ...(roles.length > 0 && { roles }),
+            ...(source && { source })
+        };
+    });
+}
+
+// Where an exported color was taken from, or null when missing or malformed:
+// { type: 'pick', x, y, size, method } or { type: 'prefill', region: { x, y, width, height }, algorithm }
+function readColorSource(source) {
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    if (!source || typeof source !== 'object') return null;
+
+    if (source.type === 'pick' && isCount(source.x) && isCount(source.y) && isCount(source.size) && source.size % 2 === 1) {
+        return { type: 'pick', x: source.x, y: source.y, size: source.size, method: String(source.method || 'mean') };
+    }
+    const region = source.region;
+    if (source.type === 'prefill' && region && ['x', 'y', 'width', 'height'].every(key => isCount(region[key]))) {
+        return {
+            type: 'prefill',
+            region: { x: region.x, y: region.y, width: region.width, height: region.height },
+            algorithm: String(source.algorithm || 'median-cut')
+        };
+    }
+    return null;
+}
+
+// RGB (0-255) to HSB (all 0-1)
+function rgbToHsb(r, g, b) {
+    const max = Math.max(r, g, b) / 255;
+    const min = Math.min(r, g, b) / 255;
+    const d = max - min;
+    let h = 0;
+
+    if (d !== 0) {
+        const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+        if (max === rn) h = ((gn - bn) / d + (gn < bn ? 6 : 0)) / 6;
+        else if (max === gn) h = ((bn - rn) / d + 2) / 6;
+        else h = ((rn - gn) / d + 4) / 6;
+    }
+
+    return { h, s: max === 0 ? 0 : d / max, b: max };
+}
+
+// HSB (all 0-1) to RGB (0-255)
+function hsbToRgb(h, s, v) {
+    const i = Math.floor(h * 6);
+    const f = h * 6 - i;
+    const p = v * (1 - s);
+    const q = v * (1 - f * s);
+    const t = v * (1 - (1 - f) * s);
+    const [r, g, b] = [
+        [v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]
+    ][((i % 6) + 6) % 6];
+
+    return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
+}
+
+// Minimal ZIP writer (stored entries, no compression)
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // Version needed
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true); // Version needed
+        central.setUint32(16, crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralDirectory = concatBytes(centralParts);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralDirectory.length, true);
+    end.setUint32(16, offset, true);
+
+    return concatBytes([...localParts, centralDirectory, new Uint8Array(end.buffer)]);
+}
+
+// Minimal ZIP reader: returns [{ name, data }] for stored and deflated entries
+async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // The end-of-central-directory record sits at the end, before an optional comment
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('Not a ZIP archive');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = [];
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt ZIP archive');
+
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            files.push({ name, data: compressed });
+        } else if (method === 8) {
+            files.push({ name, data: await inflateRaw(compressed) });
+        }
+    }
+
+    return files;
+}
+
+// Inflate raw DEFLATE data with the browser's DecompressionStream
+async function inflateRaw(data) {
+    if (typeof DecompressionStream !== 'function') {
+        throw new Error('This browser cannot read compressed swatch files');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Lookup table for crc32
+const CRC32_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+// CRC-32 as used by ZIP
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Join byte arrays into one
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// Read an ASCII string from a DataView
+function readAscii(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) text += String.fromCharCode(view.getUint8(offset + i));
+    return text;
+}
@@ -0,0 +1,50 @@
+// Quantizer regression tests. Run with `node --test tests/`.
+// The app's scripts are plain globals, so they are loaded into one shared VM context.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+['color-space.js', 'quantizer.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+});
+const { quantizePixels } = context;
+
+// RGBA pixels made of solid colors: [[r, g, b, count], ...]
+function createPixels(colors) {
+    const total = colors.reduce((sum, color) => sum + color[3], 0);
+    const pixels = new Uint8ClampedArray(total * 4);
+    let offset = 0;
+    colors.forEach(([r, g, b, count]) => {
+        for (let i = 0; i < count; i++, offset += 4) pixels.set([r, g, b, 255], offset);
+    });
+    return pixels;
+}
+
+// Palette as [[r, g, b, weight], ...] with weights rounded to two decimals
+function describePalette(palette) {
+    return Array.from(palette, color => [color.r, color.g, color.b, Math.round(color.weight * 100) / 100]);
+}
+
+const FEW_COLORS = createPixels([[255, 0, 0, 60], [0, 0, 255, 30], [0, 255, 0, 10]]);
+const FEW_COLORS_PALETTE = [[255, 0, 0, 0.6], [0, 0, 255, 0.3], [0, 255, 0, 0.1]];
+
+test('median cut keeps each color of a few-color image in one box', () => {
+    [3, 5, 20].forEach(colorCount => {
+        const palette = quantizePixels(FEW_COLORS, { algorithm: 'median-cut', colorCount, quality: 1 });
+        assert.deepStrictEqual(describePalette(palette), FEW_COLORS_PALETTE, `${colorCount} colors`);
+    });
+});
+
+test('k-means agrees with median cut on a few-color image', () => {
+    const palette = quantizePixels(FEW_COLORS, { algorithm: 'kmeans', colorCount: 5, quality: 1 });
+    assert.deepStrictEqual(describePalette(palette), FEW_COLORS_PALETTE);
+});
+
+test('median cut stops at a single color', () => {
+    const palette = quantizePixels(createPixels([[18, 52, 86, 40]]), { colorCount: 8, quality: 1 });
+    assert.deepStrictEqual(describePalette(palette), [[18, 52, 86, 1]]);
+});
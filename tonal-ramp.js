@@ -0,0 +1,29 @@
+// Tonal ramps: a base color expanded into a 50-950 scale (Tailwind / Material style).
+// Steps are spaced evenly in OKLCH lightness, with the base color pinned to its nearest step;
+// chroma is lowered where needed to stay in sRGB, the hue is never changed.
+
+const RAMP_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+const RAMP_LIGHTEST = 0.97; // OKLCH lightness of step 50
+const RAMP_DARKEST = 0.26; // OKLCH lightness of step 950
+
+// Build the ramp for a hex color: [{ step, hex, isBase }]
+function createTonalRamp(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    const base = rgbToOklch(r, g, b);
+    const last = RAMP_STEPS.length - 1;
+
+    // Pin the base to the step whose even-scale lightness is closest to its own
+    const evenStep = (RAMP_LIGHTEST - RAMP_DARKEST) / last;
+    const baseIndex = Math.max(0, Math.min(last, Math.round((RAMP_LIGHTEST - base.L) / evenStep)));
+
+    return RAMP_STEPS.map((step, i) => {
+        if (i === baseIndex) return { step, hex, isBase: true };
+
+        // Even steps between the lightest end and the base, and between the base and the darkest end
+        const lightness = i < baseIndex
+            ? RAMP_LIGHTEST + (base.L - RAMP_LIGHTEST) * (i / baseIndex)
+            : base.L + (RAMP_DARKEST - base.L) * ((i - baseIndex) / (last - baseIndex));
+        const rgb = oklchToRgbInGamut(lightness, base.C, base.h);
+        return { step, hex: rgbToHex(rgb.r, rgb.g, rgb.b), isBase: false };
+    });
+}